@@ -0,0 +1,357 @@
+#!/usr/bin/env node
+/**
+ * Headless batch generator for Starborn Academy login QRs.
+ *
+ *   starborn-qr build roster.csv|roster.xlsx -o out/ [--layout letter-3x4] [--title "..."]
+ *                                        [--max-pages 10] [--duplicates warn|block|skip]
+ *                                        [--columns group,period,headset,,prefix] [--header]
+ *                                        [--sheets "Tab 1,Tab 2"] [--payload-version 1.0]
+ *                                        [--group-by teacher|group] [--no-dividers]
+ *                                        [--roster-sheets append|separate] [--template t.json]
+ *                                        [--qr-render vector|raster] [--username-rule "{prefix}.{headset|pad}"]
+ *                                        [--sign-key key.json] [--verify] [--no-png] [--no-pdf]
+ *
+ * Uses the same CSV detection, username/payload rules and PDF layout as the web page.
+ * Writes PDF part(s), one PNG per QR, summary.csv and (when rows have problems)
+ * errors.csv into the output directory.
+ */
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import QRCode from "qrcode";
+import Papa from "papaparse";
+
+import { parseCsvFile, guessColumnMapping, isMappingComplete, MAPPABLE_FIELDS } from "../src/scripts/csv.js";
+import { rosterFromRows, mergeRosters, rowLabel, issuesToCsv } from "../src/scripts/roster.js";
+import { isSpreadsheetName, parseWorkbook } from "../src/scripts/workbook.js";
+import { listPayloadSchemas, DEFAULT_PAYLOAD_VERSION } from "../src/scripts/payload.js";
+import { checkUsernameRule, DEFAULT_USERNAME_RULE } from "../src/scripts/usernames.js";
+import { importSigner, signPayload } from "../src/scripts/signing.js";
+import { badgeCsvFields, otherColumnNames } from "../src/scripts/badge.js";
+import { normalizeTemplate } from "../src/scripts/template.js";
+import { safeName } from "../src/scripts/format.js";
+import { verifyEmbeddedQr } from "../src/scripts/verify.js";
+import { buildQrPdfBatchedWithProgress, pdfPartFileName, ROSTER_SHEET_MODES } from "../src/scripts/pdf.js";
+import { LAYOUT_PRESETS, DEFAULT_LAYOUT } from "../src/scripts/layout.js";
+import {
+  findCollisions,
+  collisionsToIssues,
+  applyDuplicatePolicy,
+  DUPLICATE_POLICIES,
+  DEFAULT_DUPLICATE_POLICY,
+} from "../src/scripts/duplicates.js";
+import { PRINT_GROUPINGS, DEFAULT_PRINT_GROUPING } from "../src/scripts/sections.js";
+import { QR_RENDERS, DEFAULT_QR_RENDER } from "../src/scripts/qrvector.js";
+
+const USAGE = `Usage: starborn-qr build <roster.csv|.xlsx|.ods> [options]
+
+Options:
+  -o, --out <dir>        Output directory (default: ./out)
+  -l, --layout <id>      PDF layout preset (default: ${DEFAULT_LAYOUT})
+                         ${Object.keys(LAYOUT_PRESETS).join(", ")}
+  -t, --title <text>     PDF page title (default: "Starborn Academy - QR Codes")
+      --max-pages <n>    Pages per PDF part (default: 10)
+      --group-by <g>     Sort and section the PDF: ${Object.keys(PRINT_GROUPINGS).join(", ")}
+                         (default: ${DEFAULT_PRINT_GROUPING}; each section starts on a new page)
+      --no-dividers      With --group-by: no divider page before each section
+      --roster-sheets <m>
+                         Class roster tables (headset #, username, group code, period,
+                         blank student name): ${ROSTER_SHEET_MODES.join(", ")} (default: none;
+                         "separate" writes <name>_roster.pdf)
+      --qr-render <r>    How QRs are drawn in the PDF: ${Object.keys(QR_RENDERS).join(", ")}
+                         (default: ${DEFAULT_QR_RENDER}; raster embeds a 512px PNG per QR)
+      --duplicates <p>   Duplicate username/headset policy: ${Object.keys(DUPLICATE_POLICIES).join(", ")}
+                         (default: ${DEFAULT_DUPLICATE_POLICY}; "block" writes no PDF when duplicates exist)
+      --columns <list>   Column mapping for row-per-user CSVs, one field per column,
+                         blank to ignore (fields: ${MAPPABLE_FIELDS.map((f) => f.key).join(", ")})
+      --header           With --columns: the first row is a header
+      --sheets <list>    Workbook tabs to import, comma-separated (default: all)
+      --payload-version <v>
+                         QR payload version: ${listPayloadSchemas().map((x) => x.version).join(", ")}
+                         (default: ${DEFAULT_PAYLOAD_VERSION}; a "version" column overrides it per row)
+      --username-rule <r>
+                         How usernames are built for rows without a username column
+                         (default: "${DEFAULT_USERNAME_RULE}"; the web page's Username Rule
+                         card lists the tokens and transforms)
+      --template <file>  Badge template for card layouts: a template exported from the web page
+                         (Badge Template → Export Template) or a project file
+      --sign-key <file>  Sign every payload with a key exported from the web page
+                         (Payload Signing → Export Key)
+      --verify           Decode every QR as written (PNG file, PDF) and compare it to its payload
+                         (failures are listed in errors.csv and exit with code 2)
+      --no-png           Skip per-QR PNG files
+      --no-pdf           Skip PDF output
+  -q, --quiet            Only print errors and the final summary
+  -h, --help             Show this help`;
+
+function fail(message) {
+  console.error(`starborn-qr: ${message}`);
+  process.exit(1);
+}
+
+// [{ name, rows }]: the CSV as one unnamed table, or the chosen workbook tabs.
+async function readTables(filePath, sheetNames) {
+  if (!isSpreadsheetName(filePath)) {
+    const text = await readFile(filePath, "utf8");
+    return [{ name: undefined, rows: await parseCsvFile(text, { hasHeader: false }) }];
+  }
+
+  const sheets = await parseWorkbook(await readFile(filePath));
+  if (!sheetNames) return sheets.filter((s) => s.rows.length > 0);
+
+  const missing = sheetNames.filter((n) => !sheets.some((s) => s.name === n));
+  if (missing.length) fail(`Sheet(s) not found: ${missing.join(", ")}. Available: ${sheets.map((s) => s.name).join(", ")}`);
+  return sheets.filter((s) => sheetNames.includes(s.name));
+}
+
+async function build(csvPath, options) {
+  const outDir = path.resolve(options.out);
+  const log = options.quiet ? () => { } : (msg) => console.log(msg);
+
+  const tables = await readTables(csvPath, options.sheets);
+  const parts = [];
+
+  for (const { name, rows: rawRows } of tables) {
+    const mapping = options.columns
+      ? { hasHeader: options.header, columns: options.columns }
+      : guessColumnMapping(rawRows);
+    const roster = rosterFromRows(rawRows, { mapping, version: options.payloadVersion, rule: options.usernameRule });
+    if (roster.format !== "master" && !isMappingComplete(mapping)) {
+      fail(`Could not recognize the columns${name ? ` in sheet "${name}"` : ""}. Pass --columns (and --header) to map them.`);
+    }
+    log(`Read ${roster.entries.length} rows (${roster.format} format)${name ? ` from sheet "${name}"` : ""}`);
+    parts.push({ sheet: name, roster });
+  }
+
+  const { entries, issues: rowIssues } = mergeRosters(parts);
+  const isWorkbook = tables.some((t) => t.name);
+
+  if (entries.length === 0) fail("No usable rows found.");
+
+  await mkdir(outDir, { recursive: true });
+
+  const items = [];
+  const report = [];
+  const scanIssues = [];
+  const reportOf = new Map(); // badge -> its summary.csv row
+  const otherNames = otherColumnNames(entries);
+
+  // Scan-check failure of a badge's PNG file or PDF drawing: flagged in summary.csv and errors.csv
+  function scanFailed(badge, result, where) {
+    const row = reportOf.get(badge);
+    if (result.status === "ok" || row?.status !== "ok") return;
+    row.status = `scan-${result.status}`;
+    row.error = `${where}: ${result.message}`;
+    console.error(`${rowLabel({ sheet: badge.sheet, row: badge.row })}: ${where} scan check failed: ${result.message}`);
+    scanIssues.push({
+      sheet: badge.sheet,
+      row: badge.row,
+      column: "",
+      field: "payload",
+      value: badge.username,
+      reason: `Scan check failed (${where}): ${result.message}`,
+      severity: "error",
+    });
+  }
+
+  for (const entry of entries) {
+    const row = {
+      ...(isWorkbook ? { sheet: entry.sheet } : {}),
+      row: entry.sourceRow,
+      status: "",
+      ...badgeCsvFields({ otherColumns: entry.otherColumns }, otherNames),
+      png: "",
+      error: "",
+    };
+    report.push(row);
+
+    if (entry.error) {
+      row.status = "error";
+      row.error = entry.error;
+      console.error(`${rowLabel(entry)}: ${entry.error}`);
+      continue;
+    }
+
+    const { badge } = entry;
+    if (options.signer) badge.payload = await signPayload(badge.payload, options.signer);
+    Object.assign(row, { status: "ok", ...badgeCsvFields(badge, otherNames) });
+    items.push(badge);
+    reportOf.set(badge, row);
+
+    if (options.png) {
+      const num = String(row.row).padStart(4, "0");
+      const sheet = entry.sheet ? `${safeName(entry.sheet)}_` : "";
+      row.png = `png/${sheet}${num}_${safeName(badge.groupCode)}_${safeName(badge.username)}.png`;
+      await mkdir(path.join(outDir, "png"), { recursive: true });
+      const png = await QRCode.toBuffer(badge.payload, { errorCorrectionLevel: "M", width: 512, margin: 2 });
+      await writeFile(path.join(outDir, row.png), png);
+      if (options.verify) scanFailed(badge, await verifyEmbeddedQr(badge.payload, { png }), "PNG");
+    }
+  }
+
+  const collisions = findCollisions(items);
+  const { items: printItems, blocked, skipped } = applyDuplicatePolicy(items, collisions, options.duplicates);
+  if (blocked) console.error("Duplicates found; PDF export blocked (see errors.csv).");
+  if (skipped) log(`Skipping ${skipped} duplicate(s) in the PDF.`);
+
+  const pdfFiles = [];
+  if (options.pdf && !blocked && printItems.length > 0) {
+    const base = safeName(path.basename(csvPath, path.extname(csvPath)));
+
+    const { failures } = await buildQrPdfBatchedWithProgress(printItems, {
+      title: options.title,
+      layout: options.layout,
+      maxPagesPerPdf: options.maxPages,
+      groupBy: options.groupBy,
+      dividers: options.dividers,
+      rosterSheets: options.rosterSheets,
+      qrRender: options.qrRender,
+      template: options.template,
+      verify: options.verify,
+      onProgress: (info) => log(info.message),
+      onPart: async ({ bytes, part, totalParts, kind }) => {
+        const name = pdfPartFileName(base, { part, totalParts, kind });
+        await writeFile(path.join(outDir, name), bytes);
+        pdfFiles.push(name);
+      },
+    });
+    for (const { item, result } of failures) scanFailed(item, result, "PDF");
+  }
+
+  const sheetOrder = new Map(tables.map((t, i) => [t.name, i]));
+  const issues = [...rowIssues, ...collisionsToIssues(collisions, items), ...scanIssues].sort(
+    (a, b) => (sheetOrder.get(a.sheet) ?? 0) - (sheetOrder.get(b.sheet) ?? 0) || a.row - b.row
+  );
+
+  await writeFile(path.join(outDir, "summary.csv"), Papa.unparse(report));
+  if (issues.length > 0) await writeFile(path.join(outDir, "errors.csv"), issuesToCsv(issues));
+
+  const bad = report.length - items.length;
+  console.log(
+    `Done. ${items.length} generated, ${bad} failed` +
+    `${options.verify ? `, ${scanIssues.length} failed the scan check` : ""}. ` +
+    `Wrote ${pdfFiles.length} PDF(s)${options.png ? `, ${items.length} PNG(s)` : ""}, summary.csv` +
+    `${issues.length ? ` and errors.csv (${issues.length} issue(s))` : ""} to ${outDir}`
+  );
+
+  return { failed: bad + scanIssues.length, blocked };
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        out: { type: "string", short: "o", default: "out" },
+        layout: { type: "string", short: "l", default: DEFAULT_LAYOUT },
+        title: { type: "string", short: "t", default: "Starborn Academy - QR Codes" },
+        "max-pages": { type: "string", default: "10" },
+        "group-by": { type: "string", default: DEFAULT_PRINT_GROUPING },
+        "no-dividers": { type: "boolean", default: false },
+        "roster-sheets": { type: "string", default: "none" },
+        "qr-render": { type: "string", default: DEFAULT_QR_RENDER },
+        duplicates: { type: "string", default: DEFAULT_DUPLICATE_POLICY },
+        columns: { type: "string" },
+        header: { type: "boolean", default: false },
+        sheets: { type: "string" },
+        "payload-version": { type: "string", default: DEFAULT_PAYLOAD_VERSION },
+        "username-rule": { type: "string", default: DEFAULT_USERNAME_RULE },
+        "sign-key": { type: "string" },
+        template: { type: "string" },
+        verify: { type: "boolean", default: false },
+        "no-png": { type: "boolean", default: false },
+        "no-pdf": { type: "boolean", default: false },
+        quiet: { type: "boolean", short: "q", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (err) {
+    fail(`${err.message}\n\n${USAGE}`);
+  }
+
+  const { values, positionals } = parsed;
+  const [command, csvPath] = positionals;
+
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (command !== "build") fail(`Unknown command "${command}".\n\n${USAGE}`);
+  if (!csvPath) fail(`Missing roster file path.\n\n${USAGE}`);
+  if (!LAYOUT_PRESETS[values.layout]) fail(`Unknown layout "${values.layout}".`);
+
+  if (!listPayloadSchemas().some((x) => x.version === values["payload-version"])) {
+    fail(`Unknown payload version "${values["payload-version"]}".`);
+  }
+  if (!DUPLICATE_POLICIES[values.duplicates]) fail(`Unknown duplicate policy "${values.duplicates}".`);
+  if (!PRINT_GROUPINGS[values["group-by"]]) fail(`Unknown --group-by "${values["group-by"]}".`);
+  if (!ROSTER_SHEET_MODES.includes(values["roster-sheets"])) fail(`Unknown --roster-sheets "${values["roster-sheets"]}".`);
+  if (!QR_RENDERS[values["qr-render"]]) fail(`Unknown --qr-render "${values["qr-render"]}".`);
+  try {
+    checkUsernameRule(values["username-rule"]);
+  } catch (err) {
+    fail(`--username-rule: ${err.message}`);
+  }
+
+  let columns = null;
+  if (values.columns != null) {
+    columns = values.columns.split(",").map((c) => c.trim().toLowerCase());
+    const known = new Set(MAPPABLE_FIELDS.map((f) => f.key));
+    const unknown = columns.filter((c) => c && !known.has(c));
+    if (unknown.length) fail(`Unknown column field(s): ${unknown.join(", ")}.`);
+    if (!isMappingComplete({ columns })) fail("--columns needs group and either headset or username.");
+  }
+
+  const maxPages = Number(values["max-pages"]);
+  if (!Number.isInteger(maxPages) || maxPages < 1) fail("--max-pages must be a positive integer.");
+
+  let template;
+  if (values.template) {
+    try {
+      const file = JSON.parse(await readFile(values.template, "utf8"));
+      template = normalizeTemplate(file?.format === "starborn-qr-project" ? file.project?.settings?.template : file);
+    } catch (err) {
+      fail(`Could not load --template: ${err.message}`);
+    }
+  }
+
+  let signer = null;
+  if (values["sign-key"]) {
+    try {
+      signer = await importSigner(JSON.parse(await readFile(values["sign-key"], "utf8")));
+    } catch (err) {
+      fail(`Could not load --sign-key: ${err.message}`);
+    }
+    if (!signer.canSign) fail("--sign-key is a public (verify-only) key; export the full key instead.");
+  }
+
+  const { failed, blocked } = await build(csvPath, {
+    out: values.out,
+    layout: values.layout,
+    title: values.title,
+    maxPages,
+    groupBy: values["group-by"],
+    dividers: !values["no-dividers"],
+    rosterSheets: values["roster-sheets"],
+    qrRender: values["qr-render"],
+    template,
+    duplicates: values.duplicates,
+    columns,
+    header: values.header,
+    payloadVersion: values["payload-version"],
+    usernameRule: values["username-rule"],
+    signer,
+    verify: values.verify,
+    sheets: values.sheets ? values.sheets.split(",").map((n) => n.trim()).filter(Boolean) : null,
+    png: !values["no-png"],
+    pdf: !values["no-pdf"],
+    quiet: values.quiet,
+  });
+
+  // Non-zero exit lets cron jobs notice rows that need fixing.
+  if (failed > 0 || blocked) process.exitCode = 2;
+}
+
+main(process.argv.slice(2)).catch((err) => fail(err?.message || String(err)));
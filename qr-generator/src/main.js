@@ -1,16 +1,61 @@
 import "./styles/main.css";
 import QRCode from "qrcode";
 
-import { buildUsername, toInt } from "./scripts/login.js";
-import { buildPayload } from "./scripts/payload.js";
+import { buildUsername, parseUsername, parseHeadsetList, toInt } from "./scripts/login.js";
+import { checkUsername, checkUsernames, classCounter } from "./scripts/usernames.js";
+import {
+  buildPayload,
+  getPayloadSchema,
+  listPayloadSchemas,
+  validatePayloadFields,
+  DEFAULT_PAYLOAD_VERSION,
+} from "./scripts/payload.js";
 import {
   parseCsvFile,
-  normalizeCsvRow,
   extractMasterUsernames,
-  isProbablyHeaderRow,
-  arraysToHeaderObjects,
+  guessColumnMapping,
+  headerSignature,
+  isMappingComplete,
 } from "./scripts/csv.js";
-import { buildQrPdfBatchedAndOpenWithProgress } from "./scripts/pdf.js";
+import { loadSavedMapping, saveMapping } from "./scripts/mappings.js";
+import { isSpreadsheetName, parseWorkbookFile } from "./scripts/workbook.js";
+import { rosterFromRows, mergeRosters, issuesToCsv } from "./scripts/roster.js";
+import {
+  rowFromEntry,
+  rowsFromRange,
+  blankRowAfter,
+  editRow,
+  evaluateRow,
+  rowFilter,
+  rowsToCsv,
+} from "./scripts/rows.js";
+import {
+  findCollisions,
+  collisionsToIssues,
+  applyDuplicatePolicy,
+  DUPLICATE_POLICIES,
+  DEFAULT_DUPLICATE_POLICY,
+} from "./scripts/duplicates.js";
+import { PRINT_GROUPINGS, DEFAULT_PRINT_GROUPING } from "./scripts/sections.js";
+import { DEFAULT_TEMPLATE } from "./scripts/template.js";
+import { qrToSvg, QR_RENDERS, DEFAULT_QR_RENDER } from "./scripts/qrvector.js";
+import { makeBadge } from "./scripts/badge.js";
+import { matchInventory } from "./scripts/inventory.js";
+import { signPayload } from "./scripts/signing.js";
+import { createQrPool, isQrPoolSupported } from "./scripts/qrPool.js";
+import { verifyCanvas } from "./scripts/verify.js";
+import { createIssuesTable } from "./ui/issues.js";
+import { downloadBlob, downloadText, openBlob } from "./ui/download.js";
+import { initSigningPanel } from "./ui/signing.js";
+import { initScanPanel } from "./ui/scanner.js";
+import { initProjectPanel } from "./ui/projects.js";
+import { promptColumnMapping } from "./ui/mapping.js";
+import { createResultsGrid } from "./ui/grid.js";
+import { initTemplateEditor } from "./ui/template.js";
+import { initUsernameRulePanel } from "./ui/usernameRule.js";
+import { initInventoryPanel } from "./ui/inventory.js";
+import { initPrintPreview } from "./ui/printPreview.js";
+import { LAYOUT_PRESETS, PAGE_SIZES, DEFAULT_LAYOUT, resolveLayout } from "./scripts/layout.js";
 
 const els = {
   // manual inputs
@@ -20,30 +65,256 @@ const els = {
   headset: document.getElementById("headset"),
   prefix: document.getElementById("prefix"),
   pad: document.getElementById("pad"),
+  payloadVersion: document.getElementById("payloadVersion"),
+  payloadExtras: document.getElementById("payloadExtras"),
+  headsetRange: document.getElementById("headsetRange"),
 
   btn: document.getElementById("btn"),
   download: document.getElementById("download"),
+  downloadSvg: document.getElementById("downloadSvg"),
   printManual: document.getElementById("printManual"),
+  rangeBtn: document.getElementById("rangeBtn"),
 
   username: document.getElementById("username"),
   payload: document.getElementById("payload"),
   canvas: document.getElementById("qr"),
   status: document.getElementById("status"),
 
+  // print settings
+  layout: document.getElementById("layout"),
+  layoutHelp: document.getElementById("layoutHelp"),
+  customLayoutFields: document.getElementById("customLayoutFields"),
+  layoutPage: document.getElementById("layoutPage"),
+  layoutStyle: document.getElementById("layoutStyle"),
+  layoutCols: document.getElementById("layoutCols"),
+  layoutRows: document.getElementById("layoutRows"),
+  layoutMargin: document.getElementById("layoutMargin"),
+  layoutGap: document.getElementById("layoutGap"),
+  verifyScans: document.getElementById("verifyScans"),
+  startCell: document.getElementById("startCell"),
+  printGroupBy: document.getElementById("printGroupBy"),
+  printDividers: document.getElementById("printDividers"),
+  rosterSheets: document.getElementById("rosterSheets"),
+  qrRender: document.getElementById("qrRender"),
+  exportTarget: document.getElementById("exportTarget"),
+  zipPngs: document.getElementById("zipPngs"),
+  useWorkers: document.getElementById("useWorkers"),
+  workersHelp: document.getElementById("workersHelp"),
+
   // csv
   csvFile: document.getElementById("csvFile"),
+  sheetPicker: document.getElementById("sheetPicker"),
+  sheetList: document.getElementById("sheetList"),
+  dupPolicy: document.getElementById("dupPolicy"),
+  csvPayloadVersion: document.getElementById("csvPayloadVersion"),
   csvGenerate: document.getElementById("csvGenerate"),
+  csvMap: document.getElementById("csvMap"),
+  csvMapping: document.getElementById("csvMapping"),
   csvClear: document.getElementById("csvClear"),
   csvPrint: document.getElementById("csvPrint"),
   csvStatus: document.getElementById("csvStatus"),
   csvResults: document.getElementById("csvResults"),
+  csvAddRow: document.getElementById("csvAddRow"),
+  filterTeacher: document.getElementById("filterTeacher"),
+  filterPeriod: document.getElementById("filterPeriod"),
+  filterGroup: document.getElementById("filterGroup"),
+  filterPrefix: document.getElementById("filterPrefix"),
+  filterHeadsets: document.getElementById("filterHeadsets"),
+  csvSearch: document.getElementById("csvSearch"),
+  csvJump: document.getElementById("csvJump"),
+  csvSelectAll: document.getElementById("csvSelectAll"),
+  csvSelectNone: document.getElementById("csvSelectNone"),
+  csvPrintSelected: document.getElementById("csvPrintSelected"),
+  csvSelection: document.getElementById("csvSelection"),
+  csvExport: document.getElementById("csvExport"),
+
+  // csv validation
+  csvIssuesCard: document.getElementById("csvIssuesCard"),
+  csvIssuesSummary: document.getElementById("csvIssuesSummary"),
+  csvIssues: document.getElementById("csvIssues"),
+  csvIssuesDownload: document.getElementById("csvIssuesDownload"),
 
   // stateful cancel (only visible during export)
   cancelExport: document.getElementById("cancelExport"),
 };
 
-let lastManualPrintItem = null; // { payload, groupCode, username }
-let csvPrintItems = []; // array of { payload, groupCode, username }
+let lastManualPrintItem = null; // badge record (see badge.js) of the last manual QR
+let lastManualConflicts = []; // collisions of the manual QR with the current CSV batch
+let csvPrintItems = []; // badge records of the valid rows, in grid order
+let csvCollisions = []; // parallel to csvPrintItems: findCollisions() result
+let workbookCache = null; // { file, sheets: [{ name, rows }] } for the chosen spreadsheet
+let csvIssues = []; // validation issues from the last import (see roster.js)
+let csvSource = null; // { fileName, tables, mappings } of the last import; saved in the project
+let csvRows = []; // editable working rows behind the results grid (see rows.js); saved in the project
+let csvViews = new Map(); // row id -> { ok, username, payload, flags, canvas, drawing, scan, device } from the last refresh
+let csvPrintRowIds = []; // parallel to csvPrintItems: id of the working row it came from
+let csvSelected = new Set(); // row ids ticked for "Print Selected"
+let csvFilter = () => true; // rowFilter() of the filter and search inputs; hides other rows in the grid
+
+const issuesTable = createIssuesTable(els.csvIssues);
+const signing = initSigningPanel();
+
+// Badge shown in the template preview until the manual form has generated one
+const SAMPLE_BADGE = makeBadge({
+  payload: buildPayload({ groupCode: "0004", username: "a.048" }),
+  groupCode: "0004",
+  username: "a.048",
+  teacher: "Ms. Smith",
+  period: 1,
+});
+
+const usernameRule = initUsernameRulePanel({
+  preview: previewUsernames,
+  onChange: () => {
+    projects.save({ settings: readSettings() });
+    generateManual().catch((err) => (els.status.textContent = err.message));
+    updateCsvRows(csvRows);
+  },
+});
+
+const inventory = initInventoryPanel({
+  getBadges: () => csvPrintItems,
+  onChange: () => {
+    linkDevices();
+    renderGrid();
+    inventory.refresh();
+  },
+});
+
+const templateEditor = initTemplateEditor({
+  onChange: () => {
+    projects.save({ settings: readSettings() });
+    printPreview.refresh();
+  },
+  getPreview: () => {
+    let layout;
+    try {
+      layout = readLayout();
+    } catch {
+      layout = resolveLayout(DEFAULT_LAYOUT);
+    }
+    return { layout, item: lastManualPrintItem ?? SAMPLE_BADGE };
+  },
+});
+
+const printPreview = initPrintPreview({
+  getJob: previewJob,
+  // Export As, but downloads instead of new tabs (no pop-ups from here)
+  onExport: (source) => {
+    if (exportJob.running) return;
+    const target = els.exportTarget.value === "tabs" ? "download" : els.exportTarget.value;
+    if (source === "manual") printManualQr({ target });
+    else if (source === "selection") printSelected({ target });
+    else printAllCsv({ target });
+  },
+});
+
+initScanPanel({
+  verifySignature: (text) => signing.verify(text),
+  onRegenerate: fillManualFromScan,
+});
+
+// Signs the payload when signing is switched on (see the Payload Signing card).
+async function maybeSign(payload) {
+  const signer = signing.activeSigner();
+  return signer ? signPayload(payload, signer) : payload;
+}
+
+// jsPDF is loaded on the first print so the page itself starts faster.
+function loadPdf() {
+  return import("./scripts/pdf.js");
+}
+
+function loadBundle() {
+  return import("./scripts/bundle.js");
+}
+
+// Background workers for QR rasters, scan checks and PDF parts (see qrPool.js); null: work on the page
+let qrWorkers = null;
+function qrPool() {
+  if (!els.useWorkers.checked || !isQrPoolSupported()) return null;
+  qrWorkers ??= createQrPool();
+  return qrWorkers;
+}
+
+if (!isQrPoolSupported()) {
+  els.useWorkers.checked = false;
+  els.useWorkers.disabled = true;
+  els.workersHelp.textContent = "This browser can't draw QRs in workers (no OffscreenCanvas), so everything runs on the page.";
+}
+
+/**
+ * Build PDFs for items with the batched builder's opts and deliver them to target:
+ * "tabs" (new tabs; blocked pop-ups are downloaded), "download" or "zip" (one ZIP file).
+ * Returns the builder's result plus done: where the files went, for the status line.
+ */
+async function exportPdfs(items, opts, target = els.exportTarget.value) {
+  opts = { ...opts, pool: qrPool() };
+  if (target === "zip") {
+    const { buildQrZipWithProgress } = await loadBundle();
+    const result = await buildQrZipWithProgress(items, { ...opts, pngs: els.zipPngs.checked });
+    if (result.zip) downloadBlob(new Blob([result.zip], { type: "application/zip" }), result.fileName);
+    return { ...result, done: `Downloaded ${result.fileName}.` };
+  }
+
+  const pdf = await loadPdf();
+  const base = opts.fileName ?? "starborn_qr_codes";
+  const pdfBlob = (bytes) => new Blob([bytes], { type: "application/pdf" });
+  if (target === "download") {
+    const result = await pdf.buildQrPdfBatchedWithProgress(items, {
+      ...opts,
+      onPart: (part) => downloadBlob(pdfBlob(part.bytes), pdf.pdfPartFileName(base, part)),
+    });
+    return { ...result, done: "PDFs downloaded." };
+  }
+
+  // New tabs; a part whose pop-up is blocked is downloaded instead
+  const downloaded = [];
+  const result = await pdf.buildQrPdfBatchedWithProgress(items, {
+    ...opts,
+    onPart: (part) => {
+      if (openBlob(pdfBlob(part.bytes))) return;
+      const name = pdf.pdfPartFileName(base, part);
+      downloadBlob(pdfBlob(part.bytes), name);
+      downloaded.push(name);
+      opts.onProgress?.({
+        phase: "popup-blocked",
+        part: part.part,
+        totalParts: part.totalParts,
+        message: `Pop-up blocked: PDF ${part.part}/${part.totalParts} was downloaded as ${name} instead.`,
+      });
+    },
+  });
+  const blocked = downloaded.length;
+  return {
+    ...result,
+    done: blocked
+      ? `Pop-ups were blocked, so ${blocked} PDF(s) were downloaded instead (${downloaded.join(", ")}).`
+      : "PDFs opened in new tabs.",
+  };
+}
+
+const PRINT_TITLES = {
+  csv: "Starborn Academy - CSV QRs",
+  selection: "Starborn Academy - Selected QRs",
+  manual: "Starborn Academy - Manual QR",
+};
+const MAX_PAGES_PER_PDF = 10;
+
+// PDF options of a print source; the export and the print preview both use them
+function printOptions(source) {
+  const opts = {
+    title: PRINT_TITLES[source],
+    layout: readLayoutSpec(),
+    startCell: readStartCell(),
+    template: templateEditor.get(),
+    qrRender: els.qrRender.value,
+    maxPagesPerPdf: MAX_PAGES_PER_PDF,
+    verify: els.verifyScans.checked,
+  };
+  if (source === "manual") return opts;
+  return { ...opts, groupBy: els.printGroupBy.value, dividers: els.printDividers.checked, rosterSheets: els.rosterSheets.value };
+}
 
 const exportJob = {
   running: false,
@@ -106,7 +377,7 @@ function setExportUi(isRunning) {
 els.cancelExport?.addEventListener("click", () => {
   if (!exportJob.running) return;
   exportJob.cancelRequested = true;
-  setExportWarningText("Cancelling… (will stop after the current batch)");
+  setExportWarningText("Cancelling…");
 });
 
 function readManualForm() {
@@ -122,30 +393,310 @@ function readManualForm() {
   if (!prefix) throw new Error("Prefix is required.");
   if (!teacher) throw new Error("Teacher Name is required for printing.");
 
-  const username = buildUsername({ prefix, headsetNumber, headsetPad });
-  const payload = buildPayload({ groupCode, username });
+  // The manual badge counts as the first of its class for {counter}
+  const username = buildUsername(
+    { prefix, headsetNumber, headsetPad, period, teacher, groupCode, counter: 1 },
+    usernameRule.get()
+  );
+  const invalid = checkUsername(username);
+  if (invalid) throw new Error(`Username "${username}": ${invalid}`);
+
+  const version = els.payloadVersion.value || DEFAULT_PAYLOAD_VERSION;
+  const extra = readPayloadExtras();
+  const problem = validatePayloadFields({ version, username, groupCode, extra }).find((p) => extra[p.field]);
+  if (problem) throw new Error(`${problem.field}: ${problem.reason}`);
 
-  return { groupCode, period, teacher, headsetNumber, prefix, headsetPad, username, payload };
+  const payload = buildPayload({ groupCode, username, version, extra });
+
+  return { groupCode, period, teacher, headsetNumber, prefix, headsetPad, username, version, extra, payload };
+}
+
+const DEFAULT_MANUAL = {
+  group: "0004",
+  period: "1",
+  teacher: "Doe",
+  headset: "48",
+  prefix: "a",
+  pad: "3",
+  payloadVersion: DEFAULT_PAYLOAD_VERSION,
+  extra: {},
+  range: "",
+};
+
+// Manual form as typed (saved in the project, unlike readManualForm it never throws)
+function readManualState() {
+  return {
+    group: els.group.value,
+    period: els.period.value,
+    teacher: els.teacher.value,
+    headset: els.headset.value,
+    prefix: els.prefix.value,
+    pad: els.pad.value,
+    payloadVersion: els.payloadVersion.value,
+    extra: readPayloadExtras(),
+    range: els.headsetRange.value,
+  };
+}
+
+function applyManualState(state) {
+  const m = { ...DEFAULT_MANUAL, ...state };
+  els.group.value = m.group;
+  els.period.value = m.period;
+  els.teacher.value = m.teacher;
+  els.headset.value = m.headset;
+  els.prefix.value = m.prefix;
+  els.pad.value = m.pad;
+  els.headsetRange.value = m.range;
+
+  if (listPayloadSchemas().some((x) => x.version === m.payloadVersion)) els.payloadVersion.value = m.payloadVersion;
+  renderPayloadExtras();
+  for (const input of els.payloadExtras.querySelectorAll("[data-payload-field]")) {
+    input.value = m.extra?.[input.dataset.payloadField] ?? "";
+  }
+}
+
+function readSettings() {
+  return {
+    layout: readLayoutSpec(),
+    dupPolicy: els.dupPolicy.value,
+    csvPayloadVersion: els.csvPayloadVersion.value,
+    verifyScans: els.verifyScans.checked,
+    startCell: readStartCell(),
+    groupBy: els.printGroupBy.value,
+    dividers: els.printDividers.checked,
+    rosterSheets: els.rosterSheets.value,
+    qrRender: els.qrRender.value,
+    exportTarget: els.exportTarget.value,
+    zipPngs: els.zipPngs.checked,
+    useWorkers: els.useWorkers.checked,
+    usernameRule: usernameRule.get(),
+    template: templateEditor.get(),
+  };
+}
+
+function applySettings(settings) {
+  const {
+    layout = DEFAULT_LAYOUT,
+    dupPolicy,
+    csvPayloadVersion,
+    verifyScans = true,
+    startCell = 1,
+    groupBy,
+    dividers = true,
+    rosterSheets = "none",
+    qrRender = DEFAULT_QR_RENDER,
+    exportTarget = "tabs",
+    zipPngs = false,
+    useWorkers = true,
+    usernameRule: rule,
+    template = DEFAULT_TEMPLATE,
+  } = settings ?? {};
+
+  if (typeof layout === "string") {
+    els.layout.value = LAYOUT_PRESETS[layout] ? layout : DEFAULT_LAYOUT;
+  } else {
+    els.layout.value = "custom";
+    if (PAGE_SIZES[layout.page]) els.layoutPage.value = layout.page;
+    els.layoutStyle.value = layout.style === "label" ? "label" : "card";
+    els.layoutCols.value = String(layout.cols ?? els.layoutCols.value);
+    els.layoutRows.value = String(layout.rows ?? els.layoutRows.value);
+    els.layoutMargin.value = String(layout.margin ?? els.layoutMargin.value);
+    els.layoutGap.value = String(layout.gap ?? els.layoutGap.value);
+  }
+  updateLayoutHelp();
+
+  els.dupPolicy.value = DUPLICATE_POLICIES[dupPolicy] ? dupPolicy : DEFAULT_DUPLICATE_POLICY;
+  els.csvPayloadVersion.value = listPayloadSchemas().some((x) => x.version === csvPayloadVersion)
+    ? csvPayloadVersion
+    : DEFAULT_PAYLOAD_VERSION;
+  els.verifyScans.checked = verifyScans;
+  els.startCell.value = String(startCell);
+  els.printGroupBy.value = PRINT_GROUPINGS[groupBy] ? groupBy : DEFAULT_PRINT_GROUPING;
+  els.printDividers.checked = dividers;
+  els.rosterSheets.value = rosterSheets;
+  if (!els.rosterSheets.value) els.rosterSheets.value = "none";
+  els.qrRender.value = QR_RENDERS[qrRender] ? qrRender : DEFAULT_QR_RENDER;
+  els.exportTarget.value = exportTarget;
+  if (!els.exportTarget.value) els.exportTarget.value = "tabs";
+  els.zipPngs.checked = zipPngs;
+  els.useWorkers.checked = useWorkers && isQrPoolSupported();
+  usernameRule.set(rule);
+  templateEditor.set(template);
+}
+
+/**
+ * Restore the page from a project (null: IndexedDB unavailable, use the defaults).
+ */
+async function loadProject(project) {
+  applyManualState(project?.manual);
+  applySettings(project?.settings);
+
+  els.csvFile.value = "";
+  await updateSheetPicker();
+  csvSource = project?.roster ?? null;
+  if (csvSource) {
+    await generateFromTables(csvSource, { rows: project.rows }).catch((err) => {
+      els.csvStatus.textContent = `Could not restore the saved roster: ${err.message}`;
+    });
+  } else {
+    clearCsvResults();
+    // Rows added without an import (headset ranges, + Add Row)
+    if (project?.rows?.length) {
+      csvRows = project.rows;
+      await refreshCsvBatch();
+    }
+  }
+
+  // Auto-generate manual once on load
+  await generateManual().catch(() => { });
 }
 
-function readRowAsInput(rowObj) {
-  const groupCode = rowObj.group;
-  const period = toInt(rowObj.period);
-  const headsetNumber = toInt(rowObj.headset);
+/**
+ * Put a scanned badge's values into the manual form. Teacher and period are not
+ * in the payload, so those stay as typed.
+ */
+function fillManualFromScan({ username, groupCode, version, extra }) {
+  const parts = parseUsername(username);
+  if (!parts) {
+    alert(`Username "${username}" is not in the {prefix}.{number} form, so it can't be rebuilt here.`);
+    return;
+  }
 
-  const prefix = (rowObj.prefix ?? "").toString().trim() || "a";
+  els.group.value = groupCode;
+  els.prefix.value = parts.prefix;
+  els.headset.value = String(parts.headsetNumber);
+  els.pad.value = String(parts.headsetPad);
 
-  const padInt = toInt(rowObj.pad);
-  const headsetPad = Number.isFinite(padInt) ? padInt : 3;
+  if (listPayloadSchemas().some((x) => x.version === version)) {
+    els.payloadVersion.value = version;
+    renderPayloadExtras();
+    for (const input of els.payloadExtras.querySelectorAll("[data-payload-field]")) {
+      input.value = extra[input.dataset.payloadField] ?? "";
+    }
+  }
 
-  if (!groupCode || groupCode.length !== 4) throw new Error("Bad group code (expected 4 digits).");
-  if (!Number.isFinite(period) || period < 1) throw new Error("Bad period (expected positive integer).");
-  if (!Number.isFinite(headsetNumber) || headsetNumber < 1) throw new Error("Bad headset # (expected positive integer).");
+  els.status.textContent = "Filled from the scanned badge. Check Teacher and Period, then Generate.";
+  els.group.scrollIntoView({ behavior: "smooth", block: "center" });
+  els.teacher.focus({ preventScroll: true });
+}
 
-  const username = buildUsername({ prefix, headsetNumber, headsetPad });
-  const payload = buildPayload({ groupCode, username });
+/**
+ * Inputs for the selected version's extra payload fields (region, class ID, ...).
+ * Values typed so far are kept when switching versions.
+ */
+function renderPayloadExtras() {
+  const previous = readPayloadExtras();
+  const schema = getPayloadSchema(els.payloadVersion.value || DEFAULT_PAYLOAD_VERSION);
+
+  els.payloadExtras.innerHTML = "";
+  for (const f of schema.fields.filter((x) => x.extra)) {
+    const label = document.createElement("label");
+    label.className = "field";
+
+    const span = document.createElement("span");
+    span.className = "field-label";
+    span.textContent = `${f.label} (optional)`;
+
+    const input = document.createElement("input");
+    input.className = "field-input";
+    input.dataset.payloadField = f.key;
+    input.value = previous[f.key] ?? "";
+
+    label.append(span, input);
+    els.payloadExtras.appendChild(label);
+  }
+  els.payloadExtras.hidden = els.payloadExtras.childElementCount === 0;
+}
+
+function readPayloadExtras() {
+  const extra = {};
+  for (const input of els.payloadExtras.querySelectorAll("[data-payload-field]")) {
+    const v = input.value.trim();
+    if (v) extra[input.dataset.payloadField] = v;
+  }
+  return extra;
+}
 
-  return { groupCode, period, headsetNumber, prefix, headsetPad, username, payload };
+function initPayloadVersionControls() {
+  for (const select of [els.payloadVersion, els.csvPayloadVersion]) {
+    for (const schema of listPayloadSchemas()) select.add(new Option(schema.label, schema.version));
+    select.value = DEFAULT_PAYLOAD_VERSION;
+  }
+  els.payloadVersion.addEventListener("change", renderPayloadExtras);
+  renderPayloadExtras();
+}
+
+/**
+ * Layout spec from the Print Settings card (preset id or custom grid).
+ */
+function readLayoutSpec() {
+  const preset = els.layout.value || DEFAULT_LAYOUT;
+  if (preset !== "custom") return preset;
+
+  return {
+    preset: "custom",
+    page: els.layoutPage.value,
+    style: els.layoutStyle.value,
+    cols: toInt(els.layoutCols.value),
+    rows: toInt(els.layoutRows.value),
+    margin: Number(els.layoutMargin.value),
+    gap: Number(els.layoutGap.value),
+  };
+}
+
+// First label cell to print on (1 = top-left of the first page)
+function readStartCell() {
+  const n = toInt(els.startCell.value);
+  return Number.isFinite(n) && n > 0 ? n : 1;
+}
+
+function readLayout() {
+  return resolveLayout(readLayoutSpec());
+}
+
+function updateLayoutHelp() {
+  els.customLayoutFields.hidden = els.layout.value !== "custom";
+
+  try {
+    const l = readLayout();
+    els.layoutHelp.textContent =
+      `${l.perPage} per page (${l.cols} × ${l.rows}), ` +
+      `cells ${l.cellW.toFixed(2)} × ${l.cellH.toFixed(2)} in.`;
+  } catch (err) {
+    els.layoutHelp.textContent = err.message;
+  }
+  templateEditor.refresh();
+  printPreview.refresh();
+}
+
+function initLayoutControls() {
+  for (const [id, preset] of Object.entries(LAYOUT_PRESETS)) {
+    els.layout.add(new Option(preset.label, id));
+  }
+  els.layout.add(new Option("Custom grid…", "custom"));
+  els.layout.value = DEFAULT_LAYOUT;
+
+  for (const [id, size] of Object.entries(PAGE_SIZES)) {
+    els.layoutPage.add(new Option(size.label, id));
+  }
+
+  const inputs = [
+    els.layout,
+    els.layoutPage,
+    els.layoutStyle,
+    els.layoutCols,
+    els.layoutRows,
+    els.layoutMargin,
+    els.layoutGap,
+  ];
+  for (const el of inputs) el.addEventListener("input", updateLayoutHelp);
+
+  updateLayoutHelp();
+}
+
+// Scan-check result as a result-card flag (null when the QR reads back fine)
+function scanFlag(result) {
+  return result.status === "ok" ? null : { severity: "error", message: `Scan check failed: ${result.message}` };
 }
 
 async function renderQRToCanvas(canvas, payload, size = 256) {
@@ -166,232 +717,575 @@ function downloadCanvasPng(canvas, filename) {
   a.remove();
 }
 
-function clearCsvResults() {
-  els.csvResults.innerHTML = "";
-  els.csvStatus.textContent = "";
-  csvPrintItems = [];
+function showCsvIssues(issues) {
+  csvIssues = issues;
+  issuesTable.setIssues(issues);
+
+  const errors = issues.filter((i) => i.severity === "error").length;
+  const warnings = issues.length - errors;
+  els.csvIssuesCard.hidden = issues.length === 0;
+  els.csvIssuesSummary.textContent =
+    `${errors} error(s), ${warnings} warning(s). ` +
+    "Rows with invalid values are skipped; duplicates follow the duplicate policy. " +
+    "Click a column to sort; download errors.csv to send back to the roster's author.";
 }
 
-function makeResultCard({ index, input, canvas }) {
-  const card = document.createElement("div");
-  card.className = "result-card";
-
-  const title = document.createElement("h3");
-  title.className = "result-title";
-  title.textContent = `Row ${index + 1}: ${input.username}`;
-  card.appendChild(title);
-
-  const meta = document.createElement("p");
-  meta.className = "result-meta";
-  meta.textContent =
-    `Group ${input.groupCode}` +
-    `${input.username ? ` • ${input.username}` : ""}` +
-    `${input.teacher ? ` • Teacher ${input.teacher}` : ""}` +
-    `${input.period ? ` • Period ${input.period}` : ""}` +
-    `${input.headsetNumber ? ` • Headset ${input.headsetNumber}` : ""}`;
-  card.appendChild(meta);
-
-  canvas.className = "result-canvas";
-  card.appendChild(canvas);
-
-  const actions = document.createElement("div");
-  actions.className = "result-actions";
-
-  const copyBtn = document.createElement("button");
-  copyBtn.className = "small-btn secondary";
-  copyBtn.type = "button";
-  copyBtn.textContent = "Copy JSON";
-  copyBtn.addEventListener("click", async () => {
-    await navigator.clipboard.writeText(input.payload);
-    els.csvStatus.textContent = `Copied payload for Row ${index + 1}.`;
-  });
-
-  const dlBtn = document.createElement("button");
-  dlBtn.className = "small-btn";
-  dlBtn.type = "button";
-  dlBtn.textContent = "Download PNG";
-  dlBtn.addEventListener("click", () => {
-    // filename uses whatever info we have
-    const p = input.period ? `_p${input.period}` : "";
-    const h = input.headsetNumber ? `_h${input.headsetNumber}` : "";
-    downloadCanvasPng(canvas, `starborn_${input.groupCode}${p}${h}.png`);
+/**
+ * Usernames a rule would build for the results grid's rows (or the manual form when the
+ * grid is empty), each with the reason it's invalid or repeated. Throws for a bad rule.
+ */
+function previewUsernames(rule) {
+  const version = els.csvPayloadVersion.value || DEFAULT_PAYLOAD_VERSION;
+  const counter = classCounter();
+  const state = readManualState();
+  const rows = csvRows.length ? csvRows : rowsFromRange(state, [toInt(state.headset) || 1]);
+
+  const names = rows.map((row, i) => {
+    const { badge, issues } = evaluateRow(row, { version, rule, counter });
+    return {
+      label: csvRows.length ? `#${i + 1}` : "Manual",
+      username: badge?.username ?? "",
+      reason: badge ? null : issues.find((x) => x.severity === "error").reason,
+    };
   });
+  const repeats = checkUsernames(names.map((n) => n.username));
+  return names.map((n, i) => (n.reason || !n.username ? n : { ...n, reason: repeats[i] }));
+}
 
-  actions.appendChild(copyBtn);
-  actions.appendChild(dlBtn);
-  card.appendChild(actions);
-
-  return card;
+function clearCsvResults() {
+  els.csvStatus.textContent = "";
+  csvRows = [];
+  csvViews = new Map();
+  csvPrintItems = [];
+  csvPrintRowIds = [];
+  csvCollisions = [];
+  csvSelected = new Set();
+  renderGrid();
+  showCsvIssues([]);
+  inventory.refresh();
 }
 
 async function generateManual() {
   els.status.textContent = "";
-  const { groupCode, period, teacher, headsetNumber, username, payload } = readManualForm();
+  const form = readManualForm();
+  const payload = await maybeSign(form.payload);
+  const badge = makeBadge({ ...form, payload, row: "manual" });
 
-  els.username.textContent = username;
+  els.username.textContent = badge.username;
   els.payload.textContent = payload;
 
   await renderQRToCanvas(els.canvas, payload, 256);
-  els.status.textContent = "QR generated.";
 
-  lastManualPrintItem = { payload, groupCode, username, teacher, period };
+  // Compare against the loaded CSV batch (e.g. re-printing a badge that already exists)
+  lastManualConflicts = findCollisions([...csvPrintItems, badge]).at(-1);
+
+  const flag = els.verifyScans.checked ? scanFlag(await verifyCanvas(els.canvas, payload)) : null;
+  const notes = [...lastManualConflicts, ...(flag ? [flag] : [])];
+
+  els.status.textContent = notes.length
+    ? `QR generated. ${notes.map((c) => c.message).join(" ")}`
+    : "QR generated.";
+
+  lastManualPrintItem = badge;
+  templateEditor.refresh();
+  printPreview.refresh();
+}
+
+/**
+ * Expand the manual form's headset range into working rows and add them to the
+ * results grid, where they are validated, checked and printed like imported rows.
+ */
+async function generateRange() {
+  const headsets = parseHeadsetList(els.headsetRange.value);
+  const state = readManualState();
+  if (!state.teacher.trim()) throw new Error("Teacher Name is required for printing.");
+
+  const rows = rowsFromRange(state, headsets);
+  await updateCsvRows([...csvRows, ...rows]);
+
+  // Usernames as the refresh built them (with the username rule)
+  const name = (row) => csvViews.get(row.id)?.username || "?";
+  const span = rows.length > 1 ? `${name(rows[0])} … ${name(rows.at(-1))}` : name(rows[0]);
+  els.status.textContent = `Added ${rows.length} QR(s) (${span}) to the results below.`;
+  els.csvStatus.textContent = `Added ${rows.length} row(s) from a headset range. ${els.csvStatus.textContent}`;
+}
+
+/**
+ * Column mapping for a row-per-user CSV: a remembered mapping for this header layout,
+ * else the best guess (header names, or the positional order for files without a header).
+ * The mapping step is shown when forced, or when there is no remembered mapping and the
+ * guess is incomplete.
+ * Resolves null if the user cancels.
+ */
+async function resolveColumnMapping(rawRows, { force = false, title = "" } = {}) {
+  const saved =
+    loadSavedMapping(headerSignature(rawRows, true)) ?? loadSavedMapping(headerSignature(rawRows, false));
+  const guess = guessColumnMapping(rawRows);
+  const initial = saved ?? guess;
+
+  if (!force && (saved || isMappingComplete(guess))) {
+    return { mapping: initial, saved: !!saved };
+  }
+
+  els.csvStatus.textContent = "Map the CSV columns, then click Apply Mapping.";
+  els.csvGenerate.disabled = true;
+  els.csvMap.disabled = true;
+  try {
+    const result = await promptColumnMapping(els.csvMapping, rawRows, initial, { title });
+    if (!result) return null;
+    if (result.remember) saveMapping(headerSignature(rawRows, result.mapping.hasHeader), result.mapping);
+    return { mapping: result.mapping, saved: false };
+  } finally {
+    els.csvGenerate.disabled = exportJob.running;
+    els.csvMap.disabled = false;
+  }
+}
+
+async function loadWorkbook(file) {
+  if (workbookCache?.file !== file) {
+    workbookCache = { file, sheets: await parseWorkbookFile(file) };
+  }
+  return workbookCache.sheets;
+}
+
+/**
+ * Sheet picker for multi-tab workbooks: one checkbox per tab, all checked.
+ */
+async function updateSheetPicker() {
+  const file = els.csvFile.files?.[0];
+  els.sheetList.innerHTML = "";
+  els.sheetPicker.hidden = true;
+
+  if (!file || !isSpreadsheetName(file.name)) return;
+
+  const sheets = await loadWorkbook(file);
+  if (sheets.length < 2) return;
+
+  for (const sheet of sheets) {
+    const label = document.createElement("label");
+    label.className = "check";
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.value = sheet.name;
+    box.checked = true;
+    label.append(box, ` ${sheet.name} (${sheet.rows.length} rows)`);
+    els.sheetList.appendChild(label);
+  }
+  els.sheetPicker.hidden = false;
+}
+
+/**
+ * Tables to import from the chosen file: [{ name, rows }].
+ * A CSV is one unnamed table; a workbook gives each checked tab.
+ */
+async function readImportTables(file) {
+  if (!isSpreadsheetName(file.name)) {
+    // Parse ONCE as arrays so we can detect master matrix OR header CSV without re-parsing.
+    return [{ name: undefined, rows: await parseCsvFile(file, { hasHeader: false }) }];
+  }
+
+  const sheets = (await loadWorkbook(file)).filter((s) => s.rows.length > 0);
+  if (els.sheetPicker.hidden) return sheets;
+
+  const checked = new Set(
+    [...els.sheetList.querySelectorAll("input[type=checkbox]")].filter((b) => b.checked).map((b) => b.value)
+  );
+  return sheets.filter((s) => checked.has(s.name));
 }
 
-async function generateFromCsv() {
+/**
+ * Import the chosen file; without one, re-run the roster saved in the project.
+ */
+async function generateFromCsv({ forceMapping = false } = {}) {
   const file = els.csvFile.files?.[0];
+  if (!file && !csvSource) {
+    alert("Choose a CSV or spreadsheet file first.");
+    return;
+  }
+
   if (!file) {
-    alert("Choose a CSV file first.");
+    await generateFromTables(csvSource, { forceMapping, rows: forceMapping ? null : csvRows });
     return;
   }
 
   clearCsvResults();
-  csvPrintItems = [];
+  els.csvStatus.textContent = "Parsing file...";
 
-  els.csvStatus.textContent = "Parsing CSV...";
+  // Each table (the CSV, or each chosen workbook tab) goes through the same detection
+  const tables = await readImportTables(file);
+  if (tables.length === 0) {
+    els.csvStatus.textContent = "Select at least one sheet to import.";
+    return;
+  }
 
-  // Parse ONCE as arrays so we can detect master matrix OR header CSV without re-parsing.
-  const rawRows = await parseCsvFile(file, { hasHeader: false });
+  await generateFromTables({ fileName: file.name, tables, mappings: [] }, { forceMapping });
+}
 
-  // 1) Try master matrix first
-  const masterItems = extractMasterUsernames(rawRows);
+/**
+ * source: { fileName, tables: [{ name, rows }], mappings } where mappings[t] is the
+ * column mapping used for table t last time (reused unless forceMapping).
+ * opts.rows restores edited working rows saved with the project.
+ */
+async function generateFromTables(source, { forceMapping = false, rows = null } = {}) {
+  clearCsvResults();
 
-  if (masterItems.length > 0) {
-    const PREVIEW_LIMIT = 80;
-    els.csvStatus.textContent = `Found master sheet format. Generating ${masterItems.length} QR codes...`;
+  const { tables } = source;
+  const mappings = [];
+  const parts = [];
+  let usedSavedMapping = false;
+
+  for (let t = 0; t < tables.length; t++) {
+    const { name, rows: rawRows } = tables[t];
+    let mapping = null;
+    if (extractMasterUsernames(rawRows).length === 0) {
+      mapping = forceMapping ? null : source.mappings?.[t];
+      if (!mapping) {
+        const resolved = await resolveColumnMapping(rawRows, {
+          force: forceMapping,
+          title: name ? `Sheet: ${name}` : "",
+        });
+        if (!resolved) {
+          els.csvStatus.textContent = "Import cancelled.";
+          return;
+        }
+        mapping = resolved.mapping;
+        usedSavedMapping ||= resolved.saved;
+      }
+    }
+    mappings.push(mapping);
 
-    let ok = 0;
-    let bad = 0;
+    const version = els.csvPayloadVersion.value || DEFAULT_PAYLOAD_VERSION;
+    parts.push({ sheet: name, roster: rosterFromRows(rawRows, { mapping, version, rule: usernameRule.get() }) });
+  }
 
-    for (let i = 0; i < masterItems.length; i++) {
-      try {
-        const { groupCode, username, teacher, period } = masterItems[i];
+  // Restoring a project re-runs its saved roster; only new imports/mappings need saving
+  const changed = source !== csvSource || forceMapping;
+  csvSource = { fileName: source.fileName, tables, mappings };
 
-        const payload = buildPayload({ groupCode, username });
+  const { formats, entries } = mergeRosters(parts);
+  csvRows = (!changed && rows) || entries.map(rowFromEntry);
+  if (changed) projects.save({ roster: csvSource, rows: null });
 
-        // Only render previews for the first N to avoid lag
-        if (i < PREVIEW_LIMIT) {
-          const canvas = document.createElement("canvas");
-          canvas.width = 256;
-          canvas.height = 256;
-          await renderQRToCanvas(canvas, payload, 256);
+  if (csvRows.length === 0) {
+    els.csvStatus.textContent = "No usable rows found in CSV.";
+    return;
+  }
 
-          const input = {
-            groupCode,
-            period: period || "",
-            headsetNumber: "",
-            username,
-            payload,
-            teacher: teacher || "",
-          };
+  els.csvStatus.textContent =
+    `${formats.includes("master") ? "Found master sheet format. " : ""}` +
+    `${usedSavedMapping ? "Using saved column mapping. " : ""}` +
+    `${tables.length > 1 ? `${tables.length} sheets. ` : ""}Generating ${csvRows.length} QR codes...`;
 
-          const card = makeResultCard({ index: i, input, canvas });
-          els.csvResults.appendChild(card);
-        }
+  await refreshCsvBatch();
+}
 
-        csvPrintItems.push({
-          payload,
-          groupCode,
-          username,
-          teacher: teacher || "",
-          period: period || "",
-        });
+const GRID_QR_PX = 256;
 
-        ok++;
-      } catch {
-        bad++;
-      }
+// list split into one slice per worker
+function workerSlices(list, count) {
+  const size = Math.ceil(list.length / count);
+  const out = [];
+  for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+  return out;
+}
 
-      if (i > 0 && i % 200 === 0) {
-        els.csvStatus.textContent = `Generating… ${i}/${masterItems.length} processed.`;
-        await new Promise((r) => setTimeout(r, 0));
-      }
-    }
+// Switch the background workers off after a failure; the page does the work from then on
+function workersFailed(err) {
+  qrWorkers?.terminate();
+  qrWorkers = null;
+  els.useWorkers.checked = false;
+  els.workersHelp.textContent = `Background workers failed (${err.message}); running on the page.`;
+}
 
-    els.csvStatus.textContent = `Done. ${ok} generated, ${bad} failed. (Previewing first ${Math.min(PREVIEW_LIMIT, ok)} only)`;
-    return;
+/**
+ * Scan checks for a refresh, run in the background workers on the QR their grid previews get
+ * (see drawGridQrBatch): a Map of results by payload, or null without workers (or if they fail).
+ */
+async function scanInWorkers(payloads) {
+  const workers = qrPool();
+  if (!workers || !payloads.length) return null;
+
+  const scans = new Map();
+  let scanned = 0;
+  try {
+    await Promise.all(
+      workerSlices(payloads, workers.size).map(async (slice) => {
+        const { results } = await workers.run("scan", { payloads: slice, px: GRID_QR_PX }, {
+          onProgress: (msg) => {
+            scanned += msg.results.length;
+            els.csvStatus.textContent = `Checking scans… ${scanned}/${payloads.length}`;
+          },
+        });
+        slice.forEach((p, i) => scans.set(p, results[i]));
+      })
+    );
+  } catch (err) {
+    workersFailed(err);
+    return null;
   }
+  return scans;
+}
 
-  // 2) Fallback: row-per-user CSV flow
-  // Decide whether row0 is a header row
-  const hasHeader = isProbablyHeaderRow(rawRows?.[0]);
+// Scan check on the page: the QR drawn exactly as drawGridQrBatch draws it without workers
+async function scanOnPage(payload) {
+  const canvas = document.createElement("canvas");
+  try {
+    await renderQRToCanvas(canvas, payload, GRID_QR_PX);
+    return await verifyCanvas(canvas, payload);
+  } catch (err) {
+    return { status: "unreadable", expected: payload, decoded: null, message: err?.message || String(err) };
+  }
+}
 
-  let normalized;
-  if (hasHeader) {
-    // Convert arrays -> objects using normalized header keys, then normalize
-    const objRows = arraysToHeaderObjects(rawRows);
-    normalized = objRows.map((r) => normalizeCsvRow(r, { hasHeader: true }));
-  } else {
-    // Treat each row as positional columns: group, period, headset, prefix?, pad?
-    normalized = rawRows.map((r) => normalizeCsvRow(r, { hasHeader: false }));
+// Grid QR previews are drawn when their rows scroll into view; requests made together
+// are drawn as one batch (in a worker when enabled)
+let gridQrBatch = null; // [{ payload, resolve }]
+
+function drawGridQr(id) {
+  const view = csvViews.get(id);
+  if (!view?.payload) return Promise.resolve(null);
+  view.drawing ??= new Promise((resolve) => {
+    if (!gridQrBatch) {
+      gridQrBatch = [];
+      setTimeout(drawGridQrBatch, 0);
+    }
+    gridQrBatch.push({ payload: view.payload, resolve });
+  });
+  return view.drawing.then((canvas) => (view.canvas = canvas));
+}
+
+async function drawGridQrBatch() {
+  const batch = gridQrBatch;
+  gridQrBatch = null;
+
+  let bitmaps = null;
+  const workers = qrPool();
+  if (workers) {
+    try {
+      ({ bitmaps } = await workers.run("raster", { payloads: batch.map((b) => b.payload), px: GRID_QR_PX }));
+    } catch (err) {
+      workersFailed(err);
+    }
   }
 
-  const rows = normalized.filter(
-    (r) => (r.group ?? "") !== "" || (r.period ?? "") !== "" || (r.headset ?? "") !== ""
-  );
+  for (const [i, { payload, resolve }] of batch.entries()) {
+    const canvas = document.createElement("canvas");
+    canvas.className = "grid-canvas";
+    if (bitmaps) {
+      canvas.width = bitmaps[i].width;
+      canvas.height = bitmaps[i].height;
+      canvas.getContext("2d").drawImage(bitmaps[i], 0, 0);
+      resolve(canvas);
+    } else {
+      // A preview that can't be drawn stays blank; the scan check reports the row
+      resolve(await renderQRToCanvas(canvas, payload, GRID_QR_PX).then(() => canvas, () => null));
+    }
+  }
+}
 
-  if (rows.length === 0) {
-    els.csvStatus.textContent = "No usable rows found in CSV.";
-    return;
+/**
+ * Re-validate every working row and rebuild what the grid and printing use:
+ * print items, duplicate checks, scan checks and the issues table.
+ * Rows whose payload didn't change keep their QR preview and scan result.
+ */
+async function refreshCsvBatch() {
+  const version = els.csvPayloadVersion.value || DEFAULT_PAYLOAD_VERSION;
+  const verify = els.verifyScans.checked;
+
+  // Imported rows keep their source row number in messages; added rows use their position
+  const labels = csvRows.map((row, i) => row.sourceRow ?? `new row #${i + 1}`);
+
+  const rule = usernameRule.get();
+  const counter = classCounter();
+  const results = [];
+  for (let i = 0; i < csvRows.length; i++) {
+    const r = evaluateRow(csvRows[i], { version, label: labels[i], rule, counter });
+    if (r.badge) r.badge.payload = await maybeSign(r.badge.payload);
+    results.push(r);
   }
 
-  const PREVIEW_LIMIT = 80;
-  els.csvStatus.textContent = `Generating ${rows.length} QR codes...`;
+  // Duplicate detection runs over the valid rows only (across all sheets)
+  const okIndexes = results.flatMap((r, i) => (r.badge ? [i] : []));
+  csvPrintItems = okIndexes.map((i) => results[i].badge);
+  csvPrintRowIds = okIndexes.map((i) => csvRows[i].id);
+  csvCollisions = findCollisions(csvPrintItems);
+
+  // New scan checks go to the background workers in one go (when enabled)
+  const needScan = [];
+  if (verify) {
+    results.forEach(({ badge }, i) => {
+      const prev = csvViews.get(csvRows[i].id);
+      if (badge && !(prev?.payload === badge.payload && prev.scan)) needScan.push(badge.payload);
+    });
+  }
+  const scans = await scanInWorkers(needScan);
 
+  const views = new Map();
+  const issues = [];
   let ok = 0;
   let bad = 0;
+  let scanFailed = 0;
 
-  for (let i = 0; i < rows.length; i++) {
-    try {
-      const input = readRowAsInput(rows[i]);
+  for (let i = 0; i < csvRows.length; i++) {
+    if (i > 0 && i % 200 === 0) {
+      els.csvStatus.textContent = `Generating… ${i}/${csvRows.length} processed.`;
+      await new Promise((r) => setTimeout(r, 0));
+    }
 
-      // Preview only first N
-      if (i < PREVIEW_LIMIT) {
-        const canvas = document.createElement("canvas");
-        canvas.width = 256;
-        canvas.height = 256;
-        await renderQRToCanvas(canvas, input.payload, 256);
+    const row = csvRows[i];
+    const { badge, issues: rowIssues } = results[i];
+    const prev = csvViews.get(row.id);
+    issues.push(...rowIssues.map((x) => ({ ...x, sheet: row.sheet })));
 
-        const card = makeResultCard({ index: i, input, canvas });
-        els.csvResults.appendChild(card);
-      }
+    if (!badge) {
+      bad++;
+      const flags = rowIssues
+        .filter((x) => x.severity === "error")
+        .map((x) => ({ severity: "error", message: `${x.column || x.field}: ${x.reason}` }));
+      views.set(row.id, { ok: false, username: "", payload: null, flags, canvas: null, drawing: null, scan: null });
+      continue;
+    }
 
-      csvPrintItems.push({
-        payload: input.payload,
-        groupCode: input.groupCode,
-        username: input.username,
+    const conflicts = csvCollisions[ok];
+    ok++;
+    issues.push(...collisionsToIssues([conflicts], [badge]));
+
+    // Scan check: decode the row's QR as the grid draws it (in a worker or on the page)
+    const reuse = prev?.payload === badge.payload;
+    let scan = null;
+    if (verify) {
+      scan = reuse && prev.scan ? prev.scan : scans?.get(badge.payload) ?? await scanOnPage(badge.payload);
+    }
+    const flag = scan ? scanFlag(scan) : null;
+    if (flag) {
+      scanFailed++;
+      issues.push({
+        sheet: row.sheet,
+        row: badge.row,
+        column: "",
+        field: "payload",
+        value: badge.username,
+        reason: flag.message,
+        severity: "error",
       });
+    }
 
-      ok++;
-    } catch (err) {
-      bad++;
+    views.set(row.id, {
+      ok: true,
+      username: badge.username,
+      payload: badge.payload,
+      flags: [...conflicts, ...(flag ? [flag] : [])],
+      canvas: reuse ? prev.canvas : null,
+      drawing: reuse ? prev.drawing : null,
+      scan,
+    });
+  }
 
-      if (i < PREVIEW_LIMIT) {
-        const card = document.createElement("div");
-        card.className = "result-card";
+  csvViews = views;
+  csvSelected = new Set(csvRows.filter((r) => csvSelected.has(r.id)).map((r) => r.id));
+  linkDevices();
+  renderGrid();
+  showCsvIssues(issues);
+  usernameRule.refresh();
+  inventory.refresh();
+
+  const warnings = issues.filter((x) => x.severity === "warning").length;
+  const dups = csvCollisions.filter((list) => list.some((c) => c.severity === "error")).length;
+  els.csvStatus.textContent =
+    `Done. ${ok} generated, ${bad} failed` +
+    `${dups ? `, ${dups} duplicate(s)` : ""}` +
+    `${scanFailed ? `, ${scanFailed} failed the scan check` : ""}` +
+    `${warnings ? `, ${warnings} warning(s)` : ""}.`;
+}
 
-        const title = document.createElement("h3");
-        title.className = "result-title";
-        title.textContent = `Row ${i + 1}: Error`;
-        card.appendChild(title);
+// Device column: the inventory device each valid row's headset belongs to
+function linkDevices() {
+  const devices = inventory.devices();
+  const { deviceOf } = matchInventory(devices, csvPrintItems);
+  const byId = new Map(csvPrintRowIds.map((id, i) => [id, deviceOf[i]]));
+  for (const [id, view] of csvViews) view.device = devices.length && view.ok ? byId.get(id) : undefined;
+}
 
-        const meta = document.createElement("p");
-        meta.className = "result-meta";
-        meta.textContent = err?.message || "Invalid row.";
-        card.appendChild(meta);
+// Edits run one after another so a slow refresh can't overwrite a newer one
+let csvRefreshQueue = Promise.resolve();
 
-        els.csvResults.appendChild(card);
-      }
-    }
+function updateCsvRows(next) {
+  csvRows = next;
+  projects.save({ rows: csvRows });
+  csvRefreshQueue = csvRefreshQueue.then(refreshCsvBatch).catch((err) => alert(err.message || "Update failed."));
+  return csvRefreshQueue;
+}
 
-    if (i > 0 && i % 200 === 0) {
-      els.csvStatus.textContent = `Generating… ${i}/${rows.length} processed.`;
-      await new Promise((r) => setTimeout(r, 0));
-    }
-  }
+// Filters and search match the built username for rows that don't keep their own
+function rowShown(row) {
+  return csvFilter(row, csvViews.get(row.id)?.username || row.username);
+}
+
+function renderGrid() {
+  grid.render(csvRows, csvViews, { selected: csvSelected, filter: rowShown });
 
-  els.csvStatus.textContent = `Done. ${ok} generated, ${bad} failed. (Previewing first ${Math.min(PREVIEW_LIMIT, ok)} only)`;
+  const shown = csvRows.filter(rowShown).length;
+  els.csvSelection.textContent = csvRows.length
+    ? `${csvSelected.size} selected${shown < csvRows.length ? `, ${shown} of ${csvRows.length} rows shown` : ""}.`
+    : "";
+  printPreview.refresh();
 }
 
+// Download name for a row's QR; uses whatever info we have
+function rowFileName(row) {
+  const p = row.period ? `_p${row.period}` : "";
+  const h = row.headset ? `_h${row.headset}` : "";
+  return `starborn_${row.group}${p}${h}`;
+}
+
+function csvRowIndex(id) {
+  return csvRows.findIndex((r) => r.id === id);
+}
+
+const grid = createResultsGrid(els.csvResults, {
+  onEdit: (id, field, value) => updateCsvRows(csvRows.map((r) => (r.id === id ? editRow(r, field, value) : r))),
+  onMove: (id, delta) => {
+    const i = csvRowIndex(id);
+    const j = i + delta;
+    if (i < 0 || j < 0 || j >= csvRows.length) return;
+    const next = [...csvRows];
+    [next[i], next[j]] = [next[j], next[i]];
+    updateCsvRows(next);
+  },
+  onInsert: (id) => {
+    const i = csvRowIndex(id);
+    updateCsvRows([...csvRows.slice(0, i + 1), blankRowAfter(csvRows[i]), ...csvRows.slice(i + 1)]);
+  },
+  onDelete: (id) => updateCsvRows(csvRows.filter((r) => r.id !== id)),
+  onSelect: (id, checked) => {
+    if (checked) csvSelected.add(id);
+    else csvSelected.delete(id);
+    renderGrid();
+  },
+  onCopy: async (id) => {
+    const view = csvViews.get(id);
+    if (!view?.payload) return;
+    await navigator.clipboard.writeText(view.payload);
+    els.csvStatus.textContent = `Copied payload for ${view.username}.`;
+  },
+  onDownload: async (id) => {
+    const view = csvViews.get(id);
+    if (!view?.payload) return;
+    let canvas = view.canvas;
+    if (!canvas) {
+      canvas = document.createElement("canvas");
+      await renderQRToCanvas(canvas, view.payload, 256);
+    }
+    downloadCanvasPng(canvas, `${rowFileName(csvRows[csvRowIndex(id)])}.png`);
+  },
+  onDownloadSvg: (id) => {
+    const view = csvViews.get(id);
+    if (!view?.payload) return;
+    downloadText(qrToSvg(view.payload), `${rowFileName(csvRows[csvRowIndex(id)])}.svg`, "image/svg+xml");
+  },
+  drawQr: drawGridQr,
+});
+
 // Manual handlers
 els.btn.addEventListener("click", () => {
   generateManual().catch((err) => {
@@ -400,6 +1294,13 @@ els.btn.addEventListener("click", () => {
   });
 });
 
+els.rangeBtn.addEventListener("click", () => {
+  generateRange().catch((err) => {
+    els.status.textContent = "";
+    alert(err.message);
+  });
+});
+
 els.download.addEventListener("click", () => {
   try {
     downloadCanvasPng(els.canvas, "starborn-qr.png");
@@ -408,7 +1309,18 @@ els.download.addEventListener("click", () => {
   }
 });
 
-els.printManual.addEventListener("click", async () => {
+els.downloadSvg.addEventListener("click", () => {
+  if (!lastManualPrintItem) {
+    alert("Generate a QR code first.");
+    return;
+  }
+  downloadText(qrToSvg(lastManualPrintItem.payload), "starborn-qr.svg", "image/svg+xml");
+});
+
+/**
+ * Export the manual QR as a PDF (target: see exportPdfs; defaults to Export As).
+ */
+async function printManualQr({ target } = {}) {
   if (exportJob.running) return;
 
   if (!lastManualPrintItem) {
@@ -416,24 +1328,29 @@ els.printManual.addEventListener("click", async () => {
     return;
   }
 
+  if (els.dupPolicy.value === "block" && lastManualConflicts.some((c) => c.severity === "error")) {
+    alert("This QR duplicates a code in the CSV batch. Change the duplicate policy to print it anyway.");
+    return;
+  }
+
   exportJob.cancelRequested = false;
   setExportUi(true);
 
   try {
     setExportWarningText("Generating PDFs… please keep this tab open until finished. (You can cancel.)");
 
-    await buildQrPdfBatchedAndOpenWithProgress([lastManualPrintItem], {
-      title: "Starborn Academy - Manual QR",
-      perPage: 12,
-      maxPagesPerPdf: 10,
+    const { done } = await exportPdfs([lastManualPrintItem], {
+      ...printOptions("manual"),
+      fileName: `starborn_${lastManualPrintItem.username}`,
       isCancelled: () => exportJob.cancelRequested,
       onProgress: (info) => {
         els.status.textContent = info.message;
       },
-    });
+    }, target);
 
     if (!exportJob.cancelRequested) {
-      els.status.textContent += " PDFs opened in new tabs.";
+      els.status.textContent += ` ${done}`;
+      projects.addPrint({ source: "manual", count: 1, skipped: 0, layout: readLayoutSpec(), title: PRINT_TITLES.manual });
     }
   } catch (err) {
     alert(err?.message || "PDF export failed.");
@@ -442,7 +1359,9 @@ els.printManual.addEventListener("click", async () => {
     setExportUi(false);
     exportJob.cancelRequested = false;
   }
-});
+}
+
+els.printManual.addEventListener("click", () => printManualQr());
 
 // CSV handlers
 els.csvGenerate.addEventListener("click", () => {
@@ -452,13 +1371,55 @@ els.csvGenerate.addEventListener("click", () => {
   });
 });
 
-els.csvClear.addEventListener("click", clearCsvResults);
+els.csvFile.addEventListener("change", () => {
+  updateSheetPicker().catch((err) => {
+    els.csvStatus.textContent = "";
+    alert(err.message || "Could not read spreadsheet.");
+  });
+});
 
-els.csvPrint.addEventListener("click", async () => {
-  if (exportJob.running) return;
+els.csvMap.addEventListener("click", () => {
+  generateFromCsv({ forceMapping: true }).catch((err) => {
+    els.csvStatus.textContent = "";
+    alert(err.message || "CSV import failed.");
+  });
+});
 
-  if (!csvPrintItems.length) {
-    alert("Generate CSV QRs first.");
+els.csvClear.addEventListener("click", () => {
+  clearCsvResults();
+  csvSource = null;
+  projects.save({ roster: null, rows: null });
+});
+
+els.csvAddRow.addEventListener("click", () => {
+  updateCsvRows([...csvRows, blankRowAfter(csvRows.at(-1))]);
+});
+
+els.csvExport.addEventListener("click", () => {
+  if (!csvRows.length) return;
+  const base = (csvSource?.fileName ?? "roster").replace(/\.[^.]+$/, "");
+  downloadText(rowsToCsv(csvRows), `${base}_edited.csv`);
+});
+
+els.csvPayloadVersion.addEventListener("change", () => {
+  if (csvRows.length) updateCsvRows(csvRows);
+});
+
+els.csvIssuesDownload.addEventListener("click", () => {
+  if (!csvIssues.length) return;
+  downloadText(issuesToCsv(csvIssues), "errors.csv");
+});
+
+/**
+ * Export print items as PDFs (target: see exportPdfs; defaults to Export As).
+ * collisions[i] belongs to items[i]; the duplicate policy decides what happens to duplicates.
+ */
+async function printCsvItems(items, collisions, { source = "csv", note = "", target } = {}) {
+  const title = PRINT_TITLES[source];
+  const { items: printItems, blocked, skipped } = applyDuplicatePolicy(items, collisions, els.dupPolicy.value);
+
+  if (blocked) {
+    alert("Export blocked: the batch contains duplicate usernames/headsets. See Validation Issues.");
     return;
   }
 
@@ -467,31 +1428,39 @@ els.csvPrint.addEventListener("click", async () => {
 
   try {
     // Tell user we’re batching if needed
-    const perPage = 12;
-    const maxPagesPerPdf = 10;
-    const totalPages = Math.ceil(csvPrintItems.length / perPage);
+    const opts = printOptions(source);
+    const perPage = readLayout().perPage;
+    const { maxPagesPerPdf } = opts;
+    const totalPages = Math.ceil((printItems.length + Math.min(opts.startCell - 1, perPage - 1)) / perPage);
 
     if (totalPages > maxPagesPerPdf) {
       const parts = Math.ceil(totalPages / maxPagesPerPdf);
       setExportWarningText(
-        `Large export detected (${csvPrintItems.length} QRs, ${totalPages} pages). Exporting in ${parts} PDF batch(es) of ${maxPagesPerPdf} pages each…`
+        `Large export detected (${printItems.length} QRs, ${totalPages} pages). Exporting in ${parts} PDF batch(es) of ${maxPagesPerPdf} pages each…`
       );
     } else {
       setExportWarningText("Generating PDFs… please keep this tab open until finished. (You can cancel.)");
     }
 
-    await buildQrPdfBatchedAndOpenWithProgress(csvPrintItems, {
-      title: "Starborn Academy - CSV QRs",
-      perPage,
-      maxPagesPerPdf,
+    const base = (csvSource?.fileName ?? "roster").replace(/\.[^.]+$/, "");
+    const { failures, done } = await exportPdfs(printItems, {
+      ...opts,
+      fileName: source === "selection" ? `${base}_selected_qr` : `${base}_qr`,
       isCancelled: () => exportJob.cancelRequested,
       onProgress: (info) => {
         els.csvStatus.textContent = info.message;
       },
-    });
+    }, target);
 
     if (!exportJob.cancelRequested) {
-      els.csvStatus.textContent += " PDFs opened in new tabs.";
+      els.csvStatus.textContent += ` ${done}`;
+      projects.addPrint({ source, count: printItems.length, skipped, layout: readLayoutSpec(), title });
+      if (skipped) els.csvStatus.textContent += ` Skipped ${skipped} duplicate(s).`;
+      if (note) els.csvStatus.textContent += ` ${note}`;
+      if (failures.length) {
+        const names = failures.slice(0, 10).map((f) => f.item.username).join(", ");
+        els.csvStatus.textContent += ` Check before printing: ${names}${failures.length > 10 ? ", …" : ""}.`;
+      }
     }
   } catch (err) {
     alert(err?.message || "PDF export failed.");
@@ -500,15 +1469,164 @@ els.csvPrint.addEventListener("click", async () => {
     setExportUi(false);
     exportJob.cancelRequested = false;
   }
+}
+
+function printAllCsv(opts) {
+  if (exportJob.running) return;
+
+  if (!csvPrintItems.length) {
+    alert("Generate CSV QRs first.");
+    return;
+  }
+
+  printCsvItems(csvPrintItems, csvCollisions, opts);
+}
+
+/**
+ * The printable selected rows: { items, collisions, unprintable }.
+ * Duplicates are checked within the selection, so reprinting one badge of a class isn't blocked.
+ */
+function selectedPrintJob() {
+  const picked = csvPrintRowIds.flatMap((id, i) => (csvSelected.has(id) ? [i] : []));
+  return {
+    items: picked.map((i) => csvPrintItems[i]),
+    collisions: findCollisions(picked.map((i) => csvPrintItems[i])),
+    unprintable: csvSelected.size - picked.length,
+  };
+}
+
+function printSelected({ target } = {}) {
+  if (exportJob.running) return;
+
+  const { items, collisions, unprintable } = selectedPrintJob();
+  if (!items.length) {
+    alert(
+      csvSelected.size
+        ? "None of the selected rows can be printed. Fix their errors first."
+        : "Tick the rows to print in the results grid first."
+    );
+    return;
+  }
+
+  printCsvItems(items, collisions, {
+    source: "selection",
+    target,
+    note: unprintable ? `${unprintable} selected row(s) with errors were not printed.` : "",
+  });
+}
+
+els.csvPrint.addEventListener("click", () => printAllCsv());
+els.csvPrintSelected.addEventListener("click", () => printSelected());
+
+/**
+ * What the Print Preview shows for source ("csv" | "selection" | "manual"): the items and
+ * settings its print button would use (see ui/printPreview.js). Throws when there's nothing to show.
+ */
+function previewJob(source) {
+  const opts = printOptions(source);
+
+  if (source === "manual") {
+    if (!lastManualPrintItem) throw new Error("Generate a manual QR to preview it.");
+    return { items: [lastManualPrintItem], opts };
+  }
+
+  const { items, collisions } =
+    source === "selection" ? selectedPrintJob() : { items: csvPrintItems, collisions: csvCollisions };
+  if (!items.length) {
+    throw new Error(source === "selection" ? "Tick rows in the results grid to preview them." : "Generate CSV QRs to preview them.");
+  }
+
+  const { items: printItems, blocked } = applyDuplicatePolicy(items, collisions, els.dupPolicy.value);
+  if (blocked) throw new Error("Printing is blocked: the batch contains duplicate usernames/headsets. See Validation Issues.");
+  if (!printItems.length) throw new Error("Nothing left to print after skipping duplicates.");
+
+  return { items: printItems, opts };
+}
+
+// Selection + filters
+els.csvSelectAll.addEventListener("click", () => {
+  for (const row of csvRows) if (rowShown(row)) csvSelected.add(row.id);
+  renderGrid();
+});
+
+els.csvSelectNone.addEventListener("click", () => {
+  csvSelected.clear();
+  renderGrid();
+});
+
+const filterInputs = [els.filterTeacher, els.filterPeriod, els.filterGroup, els.filterPrefix, els.filterHeadsets, els.csvSearch];
+for (const input of filterInputs) {
+  input.addEventListener("input", () => {
+    try {
+      csvFilter = rowFilter({
+        teacher: els.filterTeacher.value,
+        period: els.filterPeriod.value,
+        group: els.filterGroup.value,
+        prefix: els.filterPrefix.value,
+        headsets: els.filterHeadsets.value,
+        search: els.csvSearch.value,
+      });
+    } catch (err) {
+      els.csvSelection.textContent = err.message;
+      return;
+    }
+    els.csvResults.scrollTop = 0;
+    renderGrid();
+  });
+}
+
+els.csvJump.addEventListener("change", () => {
+  const n = Number(els.csvJump.value);
+  if (!Number.isInteger(n) || n < 1) return;
+  if (n > csvRows.length) {
+    els.csvSelection.textContent = `There is no row #${n} (${csvRows.length} rows).`;
+  } else if (!grid.scrollToRow(n - 1)) {
+    els.csvSelection.textContent = `Row #${n} is hidden by the filters.`;
+  }
 });
 
-// Defaults
-els.group.value = "0004";
-els.period.value = "1";
-els.headset.value = "48";
-els.prefix.value = "a";
-els.pad.value = "3";
-els.teacher.value = "Doe";
+initLayoutControls();
+initPayloadVersionControls();
+
+for (const [id, label] of Object.entries(DUPLICATE_POLICIES)) {
+  els.dupPolicy.add(new Option(label, id));
+}
+els.dupPolicy.value = DEFAULT_DUPLICATE_POLICY;
 
-// Auto-generate manual once on load
-generateManual().catch(() => { });
+for (const [id, label] of Object.entries(PRINT_GROUPINGS)) {
+  els.printGroupBy.add(new Option(label, id));
+}
+els.printGroupBy.value = DEFAULT_PRINT_GROUPING;
+
+// Opens the last used project (or a new one) and restores the page from it
+const projects = initProjectPanel({ onLoad: loadProject });
+
+// Save form and print settings into the open project as they change
+els.btn.closest(".card").addEventListener("input", () => projects.save({ manual: readManualState() }));
+for (const el of [
+  els.layout,
+  els.layoutPage,
+  els.layoutStyle,
+  els.layoutCols,
+  els.layoutRows,
+  els.layoutMargin,
+  els.layoutGap,
+  els.verifyScans,
+  els.startCell,
+  els.printGroupBy,
+  els.printDividers,
+  els.rosterSheets,
+  els.qrRender,
+  els.exportTarget,
+  els.zipPngs,
+  els.useWorkers,
+  els.dupPolicy,
+  els.csvPayloadVersion,
+]) {
+  el.addEventListener("change", () => projects.save({ settings: readSettings() }));
+}
+
+// Layout inputs redraw the preview through updateLayoutHelp
+for (const el of [els.startCell, els.printGroupBy, els.printDividers, els.rosterSheets, els.dupPolicy]) {
+  el.addEventListener("change", () => printPreview.refresh());
+}
@@ -0,0 +1,99 @@
+import { parseUsername, toInt } from "./login.js";
+import { payloadExtraFields, DEFAULT_PAYLOAD_VERSION } from "./payload.js";
+
+/**
+ * Badge record: one QR badge, in the same shape from every input (manual form, row-per-user
+ * CSV, master sheet, grid rows) through duplicate checks, printing (pdf.js, sections.js,
+ * template.js) and the CSV reports, so no import format drops a field on the way.
+ *
+ * { groupCode, username, payload, version, extra, teacher, period, headsetNumber, prefix,
+ *   headsetPad, row, sheet, otherColumns }
+ * - extra:   version-specific payload fields ({ region, classid, ... })
+ * - otherColumns: source columns that aren't badge fields ({ Room: "204", Notes: "..." })
+ * - period, headsetNumber, headsetPad: numbers, or "" when unknown
+ * - prefix/headsetNumber/headsetPad come from a "{prefix}.{digits}" username when not given
+ * - row:     where it came from (1-based source row, or a label like "manual"); sheet: workbook tab
+ */
+
+const str = (v) => (v ?? "").toString().trim();
+
+// Whole number, or the text as given (e.g. a "3-4" period on a master sheet)
+function numberOr(value, fallback = "") {
+  const s = str(value);
+  if (!s) return fallback;
+  return /^\d+$/.test(s) ? toInt(s) : s;
+}
+
+/**
+ * Normalize known badge fields into a badge record (missing ones become "").
+ */
+export function makeBadge(fields = {}) {
+  const username = str(fields.username);
+  const parsed = parseUsername(username);
+  const headsetNumber = numberOr(fields.headsetNumber, parsed?.headsetNumber ?? "");
+
+  const extra = {};
+  for (const [key, value] of Object.entries(fields.extra ?? {})) if (str(value)) extra[key] = str(value);
+  const otherColumns = {};
+  for (const [key, value] of Object.entries(fields.otherColumns ?? {})) if (str(value)) otherColumns[key] = str(value);
+
+  return {
+    groupCode: str(fields.groupCode),
+    username,
+    payload: fields.payload ?? "",
+    version: str(fields.version) || DEFAULT_PAYLOAD_VERSION,
+    extra,
+    teacher: str(fields.teacher),
+    period: numberOr(fields.period),
+    headsetNumber,
+    prefix: str(fields.prefix) || parsed?.prefix || "",
+    headsetPad: numberOr(fields.headsetPad, parsed?.headsetPad ?? ""),
+    row: fields.row ?? "",
+    sheet: fields.sheet ?? "",
+    otherColumns,
+  };
+}
+
+/**
+ * prefix + headset # a badge is for: its own fields when present, otherwise parsed from a
+ * "{prefix}.{digits}" username (master sheets). Returns { prefix, headset } or null.
+ */
+export function badgeHeadset(badge) {
+  const n = Number(badge.headsetNumber);
+  if (badge.prefix != null && Number.isFinite(n) && n > 0) {
+    return { prefix: String(badge.prefix), headset: n };
+  }
+
+  const parsed = parseUsername(badge.username);
+  return parsed ? { prefix: parsed.prefix, headset: parsed.headsetNumber } : null;
+}
+
+/**
+ * Names of the other columns (see makeBadge) any of the badges has, in first-seen order.
+ */
+export function otherColumnNames(badges) {
+  const names = new Set();
+  for (const b of badges) for (const key of Object.keys(b?.otherColumns ?? {})) names.add(key);
+  return [...names];
+}
+
+/**
+ * A badge as flat CSV fields (summary.csv, manifest.csv). Every payload extra and each of
+ * otherNames (otherColumnNames of the whole list) gets a column, blank when the badge has
+ * none, so all rows share the same header.
+ */
+export function badgeCsvFields(badge = {}, otherNames = []) {
+  const out = {
+    group_code: badge.groupCode ?? "",
+    username: badge.username ?? "",
+    teacher: badge.teacher ?? "",
+    period: badge.period ?? "",
+    headset: badge.headsetNumber ?? "",
+    prefix: badge.prefix ?? "",
+    pad: badge.headsetPad ?? "",
+    version: badge.version ?? "",
+  };
+  for (const { key } of payloadExtraFields()) out[key] = badge.extra?.[key] ?? "";
+  for (const name of otherNames) if (!(name in out)) out[name] = badge.otherColumns?.[name] ?? "";
+  return out;
+}
@@ -0,0 +1,112 @@
+import { zipSync, strToU8 } from "fflate";
+import Papa from "papaparse";
+import QRCode from "qrcode";
+import { buildQrPdfBatchedWithProgress, pdfPartFileName } from "./pdf.js";
+import { badgeCsvFields, otherColumnNames } from "./badge.js";
+import { safeName } from "./format.js";
+
+/**
+ * One ZIP download for a whole export: every PDF part (and roster PDF), optionally a PNG per
+ * QR, and manifest.csv with each badge's fields (badge.js) and which PDF, page and label it is on.
+ * DOM-free (the caller saves the bytes). Loaded lazily with pdf.js.
+ */
+
+const PNG_PX = 512; // same raster as the PDFs and the CLI's PNGs
+const PNG_CHUNK = 25; // PNGs drawn between progress updates
+
+function dataUrlBytes(dataUrl) {
+  const binary = atob(dataUrl.slice(dataUrl.indexOf(",") + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// PNG files for payloads, drawn in pool's workers when there is one (see qrPool.js)
+async function pngBytes(payloads, pool) {
+  if (pool) return (await pool.run("png", { payloads, px: PNG_PX })).pngs;
+
+  const out = [];
+  for (const payload of payloads) {
+    out.push(dataUrlBytes(await QRCode.toDataURL(payload, { errorCorrectionLevel: "M", margin: 2, width: PNG_PX })));
+  }
+  return out;
+}
+
+function yieldToUI() {
+  return new Promise((r) => setTimeout(r, 0));
+}
+
+/**
+ * Build the PDFs with buildQrPdfBatchedWithProgress (same options, progress and cancel) and
+ * pack them into a ZIP.
+ *
+ * opts.fileName: base name for the ZIP and the PDFs inside it (see pdfPartFileName)
+ * opts.pngs: also add png/NNNN_group_username.png for every QR
+ * opts.pool: also draws the PNGs in its workers
+ * @returns {Promise<{cancelled:boolean, totalParts:number, failures:Array, zip:Uint8Array|null, fileName:string}>}
+ */
+export async function buildQrZipWithProgress(items, opts = {}) {
+  const base = safeName(opts.fileName ?? "starborn_qr_codes");
+  const onProgress = typeof opts.onProgress === "function" ? opts.onProgress : () => { };
+  const isCancelled = typeof opts.isCancelled === "function" ? opts.isCancelled : () => false;
+
+  // Compressed already: store PDFs and PNGs as they are
+  const files = {};
+  const placed = new Map(); // item -> { pdf, page, label }
+  const pdfName = (part) => pdfPartFileName(base, part);
+
+  const result = await buildQrPdfBatchedWithProgress(items, {
+    ...opts,
+    onCell: ({ item, part, totalParts, page, cell }) => {
+      placed.set(item, { pdf: pdfName({ part, totalParts, kind: "qr" }), page, label: cell });
+    },
+    onPart: ({ bytes, part, totalParts, kind }) => {
+      files[pdfName({ part, totalParts, kind })] = [bytes, { level: 0 }];
+    },
+  });
+  if (result.cancelled) return { ...result, zip: null, fileName: "" };
+
+  const manifest = [];
+  const otherNames = otherColumnNames(items);
+  for (let start = 0; start < items.length; start += PNG_CHUNK) {
+    const chunk = items.slice(start, start + PNG_CHUNK);
+    if (opts.pngs && isCancelled()) {
+      onProgress({ phase: "cancelled", message: `Cancelled while adding PNGs (${start}/${items.length}).` });
+      return { ...result, cancelled: true, zip: null, fileName: "" };
+    }
+    const pngs = opts.pngs ? await pngBytes(chunk.map((it) => it.payload), opts.pool) : [];
+
+    chunk.forEach((it, j) => {
+      const i = start + j;
+      const row = {
+        "#": i + 1,
+        sheet: it.sheet ?? "",
+        row: it.row ?? "",
+        ...badgeCsvFields(it, otherNames),
+        pdf: "",
+        page: "",
+        label: "",
+        png: "",
+        ...placed.get(it),
+      };
+      if (opts.pngs) {
+        row.png = `png/${String(i + 1).padStart(4, "0")}_${safeName(it.groupCode)}_${safeName(it.username)}.png`;
+        files[row.png] = [pngs[j], { level: 0 }];
+      }
+      manifest.push(row);
+    });
+
+    if (opts.pngs) {
+      onProgress({ phase: "png", message: `Adding PNGs to the ZIP… (${start + chunk.length}/${items.length})` });
+      await yieldToUI();
+    }
+  }
+
+  files["manifest.csv"] = strToU8(Papa.unparse(manifest));
+
+  onProgress({ phase: "zip", message: "Packing the ZIP…" });
+  await yieldToUI();
+  const zip = zipSync(files);
+
+  return { ...result, zip, fileName: `${base}.zip` };
+}
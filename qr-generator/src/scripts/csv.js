@@ -1,6 +1,8 @@
 import Papa from "papaparse";
+import { payloadExtraFields } from "./payload.js";
 
-function normalizeKey(k) {
+// Header cell -> lowercase key with "_" for spaces and dashes ("Headset #" -> "headset_#")
+export function normalizeKey(k) {
   return (k ?? "")
     .toString()
     .trim()
@@ -36,6 +38,75 @@ function carryForward(values) {
   return out;
 }
 
+/**
+ * Recognized (normalized) header names per field, in priority order.
+ */
+export const FIELD_ALIASES = {
+  group: ["group", "group_code", "groupcode"],
+  period: ["period", "per"],
+  headset: ["headset", "headset_number", "headsetnumber", "headset_no", "headset_num"],
+  prefix: ["prefix", "class_prefix", "teacher_prefix"],
+  pad: ["pad", "padding", "headset_pad", "headset_digits"],
+  teacher: ["teacher", "teacher_name", "instructor"],
+  username: ["username", "user_name", "login"],
+  version: ["version", "payload_version"],
+  // version-specific payload fields (region, classid, ...)
+  ...Object.fromEntries(payloadExtraFields().map((f) => [f.key, f.aliases ?? [f.key]])),
+};
+
+/**
+ * Fields a source column can be mapped to (column-mapping step), in display order.
+ */
+export const MAPPABLE_FIELDS = [
+  { key: "group", label: "Group Code" },
+  { key: "period", label: "Period" },
+  { key: "headset", label: "Headset #" },
+  { key: "prefix", label: "Prefix" },
+  { key: "pad", label: "Headset Digits (padding)" },
+  { key: "teacher", label: "Teacher" },
+  { key: "username", label: "Username (overrides prefix + headset)" },
+  { key: "version", label: "Payload Version (overrides batch version)" },
+  ...payloadExtraFields().map((f) => ({ key: f.key, label: `Payload: ${f.label}` })),
+];
+
+/**
+ * Column order for CSVs without a header row.
+ */
+export const POSITIONAL_FIELDS = ["group", "period", "headset", "prefix", "pad", "teacher"];
+
+/**
+ * Spreadsheet-style column name for a 0-based index (0 -> A, 26 -> AA).
+ */
+export function columnLetter(index) {
+  let n = index + 1;
+  let out = "";
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    out = String.fromCharCode(65 + rem) + out;
+    n = Math.floor((n - 1) / 26);
+  }
+  return out;
+}
+
+/**
+ * For a header row, find which column each field is read from.
+ * Returns { field: { index, header } } for the fields present.
+ */
+export function locateHeaderFields(headerRow) {
+  const keys = (headerRow || []).map((h) => normalizeKey(h));
+  const out = {};
+  for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+    for (const alias of aliases) {
+      const index = keys.indexOf(alias);
+      if (index >= 0) {
+        out[field] = { index, header: cellStr(headerRow[index]) };
+        break;
+      }
+    }
+  }
+  return out;
+}
+
 /**
  * Heuristic: first row contains at least 2 known-ish column labels.
  * Used to detect header CSVs without re-parsing.
@@ -44,29 +115,99 @@ export function isProbablyHeaderRow(row) {
   if (!Array.isArray(row) || row.length < 2) return false;
 
   const keys = row.map((c) => normalizeKey(cellStr(c)));
-  const known = new Set([
-    "group",
-    "group_code",
-    "groupcode",
-    "period",
-    "per",
-    "headset",
-    "headset_number",
-    "headsetnumber",
-    "headset_no",
-    "headset_num",
-    "prefix",
-    "pad",
-    "padding",
-    "headset_digits",
-    "headset_pad",
-  ]);
+  const known = new Set(Object.values(FIELD_ALIASES).flat());
 
   let hits = 0;
   for (const k of keys) if (known.has(k)) hits++;
   return hits >= 2;
 }
 
+// Header-like first row: every filled cell is text, and the next row has a number somewhere.
+function looksLikeTextHeader(row, next) {
+  if (!Array.isArray(row) || !Array.isArray(next)) return false;
+  const cells = row.map(cellStr).filter(Boolean);
+  if (cells.length < 2 || cells.some((c) => /^\d+$/.test(c))) return false;
+  return next.some((c) => /^\d+$/.test(cellStr(c)));
+}
+
+/**
+ * Column mapping: which field (MAPPABLE_FIELDS key, or "" to ignore) each source column feeds.
+ * { hasHeader: boolean, columns: ["group", "", "headset", ...] }
+ *
+ * Best guess for a parsed file: known header aliases when the first row looks like a
+ * header, otherwise the positional order group, period, headset, prefix, pad, teacher.
+ */
+export function guessColumnMapping(rawRows) {
+  const rows = Array.isArray(rawRows) ? rawRows : [];
+  const first = Array.isArray(rows[0]) ? rows[0] : [];
+  const width = Math.max(0, ...rows.slice(0, 20).map((r) => (Array.isArray(r) ? r.length : 0)));
+  const hasHeader = isProbablyHeaderRow(first) || looksLikeTextHeader(first, rows[1]);
+
+  const columns = Array.from({ length: width }, (_, i) => (hasHeader ? "" : POSITIONAL_FIELDS[i] ?? ""));
+  if (hasHeader) {
+    for (const [field, { index }] of Object.entries(locateHeaderFields(first))) columns[index] = field;
+  }
+
+  return { hasHeader, columns };
+}
+
+/**
+ * Key used to remember a mapping for files with the same layout:
+ * the normalized header names, or the column count for header-less files.
+ */
+export function headerSignature(rawRows, hasHeader) {
+  const first = Array.isArray(rawRows?.[0]) ? rawRows[0] : [];
+  if (!hasHeader) return `positional:${first.length}`;
+  return `header:${first.map((h) => normalizeKey(h)).join("|")}`;
+}
+
+/**
+ * A mapping can produce badges when it has a group code and either a
+ * username column or a headset column.
+ */
+export function isMappingComplete(mapping) {
+  const cols = new Set(mapping?.columns || []);
+  return cols.has("group") && (cols.has("username") || cols.has("headset"));
+}
+
+/**
+ * Apply a column mapping to raw rows.
+ * Returns [{ row: { group, period, headset, prefix, pad, teacher, username }, otherColumns, sourceRow }]
+ * where sourceRow is the 1-based row number in the file and otherColumns holds the values of
+ * unmapped columns ({ Room: "204" }, keyed by header name or column letter) so they aren't lost.
+ * Rows with no mapped value are dropped.
+ */
+export function applyColumnMapping(rawRows, mapping) {
+  const rows = Array.isArray(rawRows) ? rawRows : [];
+  const start = mapping.hasHeader ? 1 : 0;
+  const header = mapping.hasHeader && Array.isArray(rows[0]) ? rows[0] : [];
+  const width = rows.reduce((w, r) => Math.max(w, Array.isArray(r) ? r.length : 0), mapping.columns.length);
+  const otherNames = Array.from({ length: width }, (_, c) =>
+    mapping.columns[c] ? "" : cellStr(header[c]) || columnLetter(c)
+  );
+  const out = [];
+
+  for (let i = start; i < rows.length; i++) {
+    const r = rows[i];
+    if (!Array.isArray(r)) continue;
+
+    const row = {};
+    const otherColumns = {};
+    otherNames.forEach((name, c) => {
+      const v = cellStr(r[c]);
+      const field = mapping.columns[c];
+      // First non-empty column wins when several map to the same field (or share a header)
+      if (field && v && !row[field]) row[field] = v;
+      if (name && v && !otherColumns[name]) otherColumns[name] = v;
+    });
+
+    if (Object.keys(row).length === 0) continue;
+    out.push({ row, otherColumns, sourceRow: i + 1 });
+  }
+
+  return out;
+}
+
 /**
  * Convert array-rows into objects based on the first row as headers.
  * Header keys are normalized the same way Papa's transformHeader would.
@@ -94,7 +235,7 @@ export function arraysToHeaderObjects(rows) {
 }
 
 /**
- * Parses CSV file into either:
+ * Parses a CSV File/Blob (browser) or CSV text string (Node) into either:
  * - array of arrays (header:false)
  * - array of objects (header:true) [not required by main.js anymore, but kept for flexibility]
  */
@@ -124,7 +265,8 @@ export function parseCsvFile(file, { hasHeader = false } = {}) {
  *  - a row where col A = "Usernames"
  *  - subsequent rows continue listing usernames in the same columns
  *
- * Output: [{ groupCode, username }, ...]
+ * Output: [{ groupCode, username, teacher, period, sourceRow, sourceCol }, ...]
+ * (sourceRow/sourceCol are 0-based positions of the username cell)
  */
 export function extractMasterUsernames(rawRows) {
   if (!Array.isArray(rawRows) || !Array.isArray(rawRows[0])) return [];
@@ -178,7 +320,7 @@ export function extractMasterUsernames(rawRows) {
       const teacher = teachers.length ? cellStr(teachers[c - 1]) : "";
       const period = periods.length ? cellStr(periods[c - 1]) : "";
 
-      out.push({ groupCode, username, teacher, period });
+      out.push({ groupCode, username, teacher, period, sourceRow: r, sourceCol: c });
     }
   }
 
@@ -186,30 +328,35 @@ export function extractMasterUsernames(rawRows) {
 }
 
 /**
- * Converts raw CSV row -> normalized input object:
- * { group, period, headset, prefix?, pad? }
+ * Converts raw CSV row -> normalized input object (see validateRow in roster.js):
+ * { group, period, headset, prefix?, pad?, teacher?, username?, version?, ...payload extras }
+ * Header rows read every FIELD_ALIASES field; array rows follow POSITIONAL_FIELDS.
  *
  * Supports header-based rows and array-based rows (no header).
  */
 export function normalizeCsvRow(row, { hasHeader = true } = {}) {
   if (!hasHeader) {
-    // row is an array in order: group, period, headset, prefix?, pad?
-    const group = row?.[0];
-    const period = row?.[1];
-    const headset = row?.[2];
-    const prefix = row?.[3];
-    const pad = row?.[4];
-    return { group, period, headset, prefix, pad };
+    // row is an array in POSITIONAL_FIELDS order: group, period, headset, prefix?, pad?, teacher?
+    return Object.fromEntries(POSITIONAL_FIELDS.map((field, i) => [field, row?.[i]]));
   }
 
   // row is an object with normalized keys
   const r = row || {};
+  const out = {};
+  for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+    const v = pick(r, aliases);
+    if (v !== undefined) out[field] = v;
+  }
+  return out;
+}
 
-  const group = pick(r, ["group", "group_code", "groupcode"]);
-  const period = pick(r, ["period", "per"]);
-  const headset = pick(r, ["headset", "headset_number", "headsetnumber", "headset_no", "headset_num"]);
-  const prefix = pick(r, ["prefix", "class_prefix", "teacher_prefix"]);
-  const pad = pick(r, ["pad", "padding", "headset_pad", "headset_digits"]);
-
-  return { group, period, headset, prefix, pad };
+/**
+ * Serialize an array of flat objects to CSV text.
+ * columns: [{ key, label }] controls order and header names.
+ */
+export function toCsvText(objects, columns) {
+  return Papa.unparse({
+    fields: columns.map((c) => c.label),
+    data: (objects || []).map((o) => columns.map((c) => o?.[c.key] ?? "")),
+  });
 }
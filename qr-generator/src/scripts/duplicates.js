@@ -0,0 +1,140 @@
+import { badgeHeadset } from "./badge.js";
+
+/**
+ * Collision detection across a batch of badges.
+ *
+ * Two badges with the same groupcode + username encode the same login, so two
+ * headsets would end up with identical QR codes. Checks, per record:
+ * - "duplicate-username": same username as an earlier record in the same group (error)
+ * - "duplicate-headset":  same group + prefix + headset # as an earlier record,
+ *                         but a different username, e.g. a.48 vs a.048 (error)
+ * - "cross-group":        same username as a record in another group (warning)
+ *
+ * The first occurrence is never flagged; later ones point back at it.
+ */
+
+export const DUPLICATE_POLICIES = {
+  warn: "Warn (flag duplicates, print everything)",
+  block: "Block export while duplicates exist",
+  skip: "Auto-skip duplicates (keep first occurrence)",
+};
+
+export const DEFAULT_DUPLICATE_POLICY = "warn";
+
+function label(rec, index) {
+  const row = typeof rec.row === "string" ? rec.row : `row ${rec.row ?? index + 1}`;
+  return rec.sheet ? `${rec.sheet} ${row}` : row;
+}
+
+/**
+ * records: [{ groupCode, username, prefix?, headsetNumber?, row?, sheet? }]
+ * (row/sheet locate the source row in messages; row defaults to position + 1)
+ *
+ * Returns an array parallel to records; each slot is a (possibly empty) list of
+ * { kind, severity, field, value, firstIndex, message }.
+ */
+export function findCollisions(records) {
+  const out = records.map(() => []);
+
+  const byUsername = new Map(); // group|username -> first index
+  const byHeadset = new Map(); // group|prefix|headset -> first index
+  const groupsByUsername = new Map(); // username -> first index per group
+
+  records.forEach((rec, i) => {
+    const group = String(rec.groupCode ?? "");
+    const username = String(rec.username ?? "");
+
+    const uKey = `${group}|${username}`;
+    if (byUsername.has(uKey)) {
+      const first = byUsername.get(uKey);
+      out[i].push({
+        kind: "duplicate-username",
+        severity: "error",
+        field: "username",
+        value: username,
+        firstIndex: first,
+        message: `Same username as ${label(records[first], first)} in group ${group} (identical QR).`,
+      });
+    } else {
+      byUsername.set(uKey, i);
+    }
+
+    const hs = badgeHeadset(rec);
+    if (hs) {
+      const hKey = `${group}|${hs.prefix}|${hs.headset}`;
+      const first = byHeadset.get(hKey);
+      if (first == null) {
+        byHeadset.set(hKey, i);
+      } else if (String(records[first].username) !== username) {
+        out[i].push({
+          kind: "duplicate-headset",
+          severity: "error",
+          field: "headset",
+          value: String(hs.headset),
+          firstIndex: first,
+          message: `Headset ${hs.prefix} #${hs.headset} already used by ${label(records[first], first)} in group ${group}.`,
+        });
+      }
+    }
+
+    const perGroup = groupsByUsername.get(username) ?? new Map();
+    groupsByUsername.set(username, perGroup);
+    if (!perGroup.has(group)) {
+      const other = [...perGroup.entries()][0];
+      if (other) {
+        const [otherGroup, first] = other;
+        out[i].push({
+          kind: "cross-group",
+          severity: "warning",
+          field: "username",
+          value: username,
+          firstIndex: first,
+          message: `Username also used in group ${otherGroup} (${label(records[first], first)}).`,
+        });
+      }
+      perGroup.set(group, i);
+    }
+  });
+
+  return out;
+}
+
+/**
+ * Apply a duplicate policy to a batch before export.
+ * collisions is the findCollisions() result for the same items.
+ *
+ * Returns { items, blocked, skipped }:
+ * - "warn":  everything is exported
+ * - "block": blocked = true when any error-level collision exists
+ * - "skip":  later occurrences with an error-level collision are dropped
+ */
+export function applyDuplicatePolicy(items, collisions, policy = DEFAULT_DUPLICATE_POLICY) {
+  const isDup = (i) => (collisions[i] || []).some((c) => c.severity === "error");
+  const dupCount = items.filter((_, i) => isDup(i)).length;
+
+  if (policy === "block") return { items, blocked: dupCount > 0, skipped: 0 };
+  if (policy === "skip") return { items: items.filter((_, i) => !isDup(i)), blocked: false, skipped: dupCount };
+  return { items, blocked: false, skipped: 0 };
+}
+
+/**
+ * Collisions as validation issues (same shape as roster.js issues),
+ * so they can be listed in the issues table and errors.csv.
+ */
+export function collisionsToIssues(collisions, records) {
+  const out = [];
+  collisions.forEach((list, i) => {
+    for (const c of list) {
+      out.push({
+        sheet: records[i]?.sheet,
+        row: records[i]?.row ?? i + 1,
+        column: "",
+        field: c.field,
+        value: c.value,
+        reason: c.message,
+        severity: c.severity,
+      });
+    }
+  });
+  return out;
+}
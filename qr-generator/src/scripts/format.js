@@ -7,3 +7,8 @@ export function padLeft(value, length, char = "0") {
   if (s.length >= length) return s;
   return char.repeat(length - s.length) + s;
 }
+
+// File names keep letters, digits, dot, dash, underscore.
+export function safeName(value) {
+  return (value ?? "").toString().replace(/[^A-Za-z0-9._-]+/g, "_");
+}
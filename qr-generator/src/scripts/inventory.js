@@ -0,0 +1,235 @@
+import { normalizeKey, columnLetter, toCsvText } from "./csv.js";
+import { badgeHeadset } from "./badge.js";
+
+/**
+ * Headset inventory: the physical devices behind the headset numbers on badges.
+ *
+ * Device: { serial, assetTag, cart, school, prefix, headsetNumber, row? }
+ * - serial:        device serial number; unique, identifies the device
+ * - prefix + headsetNumber: the headset it is linked to (headsetNumber null when unlinked),
+ *                  matched against each badge's prefix + headset # (badgeHeadset)
+ * - row:           1-based row in the imported device list
+ *
+ * Kept in localStorage rather than the project: it describes the school's hardware,
+ * which every project's roster is printed for.
+ */
+const STORAGE_KEY = "starborn.inventory.v1";
+
+// Recognized (normalized) device list headers per field, in priority order
+const DEVICE_ALIASES = {
+  serial: ["serial", "serial_number", "serialnumber", "serial_no", "sn"],
+  assetTag: ["asset_tag", "assettag", "asset", "asset_number", "asset_no", "tag"],
+  cart: ["cart", "cart_name", "cart_id"],
+  school: ["school", "school_name", "site", "campus"],
+  prefix: ["prefix", "class_prefix", "teacher_prefix"],
+  headset: ["headset", "headset_#", "headset_number", "headsetnumber", "headset_no", "headset_num"],
+};
+
+const str = (v) => (v ?? "").toString().trim();
+
+function linkKey(prefix, headset) {
+  return `${prefix}|${headset}`;
+}
+
+export function isLinked(device) {
+  return Number.isInteger(device.headsetNumber) && device.headsetNumber > 0;
+}
+
+/**
+ * Read a device list (array-of-arrays with a header row; CSV or a workbook tab).
+ * Returns { devices, issues } with issues shaped like roster issues
+ * ({ row, column, field, value, reason, severity }). Rows without a serial, or repeating
+ * an earlier serial, are skipped. Throws when there is no serial column.
+ */
+export function inventoryFromRows(rawRows) {
+  const header = (rawRows?.[0] ?? []).map(str);
+  const keys = header.map(normalizeKey);
+
+  const columns = {}; // field -> column index
+  for (const [field, aliases] of Object.entries(DEVICE_ALIASES)) {
+    const index = aliases.map((a) => keys.indexOf(a)).find((x) => x >= 0);
+    if (index != null) columns[field] = index;
+  }
+  if (columns.serial == null) throw new Error("No serial number column found (expected a header like \"Serial\").");
+
+  const issue = (row, field, value, reason, severity = "error") => ({
+    row,
+    column: `${columnLetter(columns[field])} (${header[columns[field]]})`,
+    field,
+    value: str(value),
+    reason,
+    severity,
+  });
+
+  const devices = [];
+  const issues = [];
+  const bySerial = new Map(); // serial -> row
+  const byLink = new Map(); // prefix|headset -> row
+
+  rawRows.slice(1).forEach((cells, i) => {
+    const row = i + 2;
+    const get = (field) => (columns[field] != null ? str(cells?.[columns[field]]) : "");
+    if (!Array.isArray(cells) || cells.every((v) => !str(v))) return;
+
+    const serial = get("serial");
+    if (!serial) {
+      issues.push(issue(row, "serial", "", "Missing serial number; row skipped."));
+      return;
+    }
+    if (bySerial.has(serial)) {
+      issues.push(issue(row, "serial", serial, `Same serial as row ${bySerial.get(serial)}; row skipped.`));
+      return;
+    }
+    bySerial.set(serial, row);
+
+    let headsetNumber = null;
+    const headsetRaw = get("headset");
+    if (headsetRaw) {
+      if (/^\d+$/.test(headsetRaw) && Number(headsetRaw) > 0) {
+        headsetNumber = Number(headsetRaw);
+      } else {
+        issues.push(issue(row, "headset", headsetRaw, "Not a headset number; device left unlinked.", "warning"));
+      }
+    }
+
+    const device = {
+      serial,
+      assetTag: get("assetTag"),
+      cart: get("cart"),
+      school: get("school"),
+      prefix: get("prefix"),
+      headsetNumber,
+      row,
+    };
+    if (isLinked(device)) {
+      const key = linkKey(device.prefix, headsetNumber);
+      if (byLink.has(key)) {
+        issues.push(issue(row, "headset", headsetRaw, `Headset already linked to the device on row ${byLink.get(key)}.`, "warning"));
+      } else {
+        byLink.set(key, row);
+      }
+    }
+    devices.push(device);
+  });
+
+  return { devices, issues };
+}
+
+/**
+ * Link (or, with headsetNumber null, unlink) a device. Returns a new device list.
+ */
+export function linkDevice(devices, serial, { prefix, headsetNumber }) {
+  return devices.map((d) => (d.serial === serial ? { ...d, prefix: str(prefix), headsetNumber } : d));
+}
+
+/**
+ * A freshly imported list, keeping the links made by hand for devices whose row
+ * has no headset of its own.
+ */
+export function mergeInventory(previous, imported) {
+  const old = new Map(previous.map((d) => [d.serial, d]));
+  return imported.map((d) => {
+    const before = old.get(d.serial);
+    return !isLinked(d) && before && isLinked(before)
+      ? { ...d, prefix: before.prefix, headsetNumber: before.headsetNumber }
+      : d;
+  });
+}
+
+/**
+ * Match badges to devices by prefix + headset #. Several badges may share a device
+ * (e.g. the same headset in different periods).
+ * Returns {
+ *   deviceOf: parallel to badges, the linked device or null,
+ *   badgesOf: Map device -> [badge indexes],
+ *   gaps:     linked devices no badge is for,
+ *   orphans:  indexes of badges for headsets not in the inventory,
+ *   unlinked: devices without a headset # yet
+ * }
+ */
+export function matchInventory(devices, badges) {
+  const byLink = new Map();
+  for (const d of devices) {
+    const key = linkKey(d.prefix, d.headsetNumber);
+    if (isLinked(d) && !byLink.has(key)) byLink.set(key, d);
+  }
+
+  const badgesOf = new Map();
+  const orphans = [];
+  const deviceOf = badges.map((badge, i) => {
+    const hs = badgeHeadset(badge);
+    const device = hs ? byLink.get(linkKey(hs.prefix, hs.headset)) : null;
+    if (!device) {
+      orphans.push(i);
+      return null;
+    }
+    if (!badgesOf.has(device)) badgesOf.set(device, []);
+    badgesOf.get(device).push(i);
+    return device;
+  });
+
+  return {
+    deviceOf,
+    badgesOf,
+    gaps: devices.filter((d) => isLinked(d) && !badgesOf.has(d)),
+    orphans,
+    unlinked: devices.filter((d) => !isLinked(d)),
+  };
+}
+
+const REPORT_COLUMNS = [
+  { key: "status", label: "status" },
+  { key: "school", label: "school" },
+  { key: "cart", label: "cart" },
+  { key: "serial", label: "serial" },
+  { key: "assetTag", label: "asset_tag" },
+  { key: "prefix", label: "prefix" },
+  { key: "headset", label: "headset" },
+  { key: "username", label: "username" },
+  { key: "groupCode", label: "group_code" },
+  { key: "row", label: "row" },
+];
+
+/**
+ * inventory-report.csv: one line per gap (device without a badge), orphan (badge without
+ * a device) and unlinked device, sorted by school and cart.
+ */
+export function inventoryReportCsv(match, badges) {
+  const device = (status, d) => ({ status, ...d, headset: d.headsetNumber ?? "", row: "" });
+  const lines = [
+    ...match.gaps.map((d) => device("gap", d)),
+    ...match.unlinked.map((d) => device("unlinked", d)),
+  ].sort((a, b) => a.school.localeCompare(b.school) || a.cart.localeCompare(b.cart) || a.headset - b.headset);
+
+  for (const i of match.orphans) {
+    const b = badges[i];
+    const hs = badgeHeadset(b);
+    lines.push({
+      status: "orphan",
+      prefix: hs?.prefix ?? "",
+      headset: hs?.headset ?? "",
+      username: b.username,
+      groupCode: b.groupCode,
+      row: b.sheet ? `${b.sheet} ${b.row}` : b.row,
+    });
+  }
+  return toCsvText(lines, REPORT_COLUMNS);
+}
+
+export function loadInventory() {
+  try {
+    const parsed = JSON.parse(globalThis.localStorage?.getItem(STORAGE_KEY) ?? "[]");
+    return Array.isArray(parsed) ? parsed.filter((d) => str(d?.serial)) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveInventory(devices) {
+  try {
+    if (devices.length) globalThis.localStorage?.setItem(STORAGE_KEY, JSON.stringify(devices));
+    else globalThis.localStorage?.removeItem(STORAGE_KEY);
+  } catch {
+    // storage full or disabled: the inventory lasts for this session only
+  }
+}
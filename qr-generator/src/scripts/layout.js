@@ -0,0 +1,219 @@
+/**
+ * PDF sheet layouts.
+ *
+ * A layout describes one printed page: paper size, grid, margins and the
+ * geometry of every cell. Presets cover the sheets we actually print on;
+ * "custom" builds an evenly spaced grid from user-supplied values.
+ *
+ * All measurements are in inches (jsPDF unit "in").
+ */
+
+export const PAGE_SIZES = {
+  letter: { label: "Letter (8.5 × 11 in)", w: 8.5, h: 11 },
+  a4: { label: "A4 (210 × 297 mm)", w: 8.27, h: 11.69 },
+  legal: { label: "Legal (8.5 × 14 in)", w: 8.5, h: 14 },
+};
+
+/**
+ * Cell styles:
+ * - "card":  header block (title, username, group code, teacher/period) above a large QR
+ * - "label": compact QR + username/group for small adhesive labels (no cut guides)
+ */
+export const LAYOUT_PRESETS = {
+  "letter-3x4": {
+    label: "Letter – 3 × 4 cards",
+    page: "letter",
+    cols: 3,
+    rows: 4,
+    margin: 0.2,
+    gap: 0.1,
+    style: "card",
+    scale: 1,
+  },
+  "a4-3x4": {
+    label: "A4 – 3 × 4 cards",
+    page: "a4",
+    cols: 3,
+    rows: 4,
+    margin: 0.2,
+    gap: 0.1,
+    style: "card",
+    scale: 1,
+  },
+  "cards-2x2": {
+    label: "Letter – 2 × 2 large cards",
+    page: "letter",
+    cols: 2,
+    rows: 2,
+    margin: 0.3,
+    gap: 0.2,
+    style: "card",
+    scale: 1.4,
+  },
+  "one-up": {
+    label: "Letter – 1 per page",
+    page: "letter",
+    cols: 1,
+    rows: 1,
+    margin: 0.5,
+    gap: 0,
+    style: "card",
+    scale: 2,
+  },
+  "avery-5160": {
+    label: "Avery 5160 – 30 address labels (2⅝ × 1 in)",
+    page: "letter",
+    cols: 3,
+    rows: 10,
+    cellW: 2.625,
+    cellH: 1,
+    marginX: 0.1875,
+    marginY: 0.5,
+    gapX: 0.125,
+    gapY: 0,
+    style: "label",
+  },
+  "avery-22805": {
+    label: "Avery 22805 – 24 square labels (1½ × 1½ in)",
+    page: "letter",
+    cols: 4,
+    rows: 6,
+    cellW: 1.5,
+    cellH: 1.5,
+    marginX: 0.78125,
+    marginY: 0.5,
+    gapX: 0.3125,
+    gapY: 0.2,
+    style: "label",
+  },
+};
+
+export const DEFAULT_LAYOUT = "letter-3x4";
+
+// Base cell width the "card" fonts were designed for (letter 3x4).
+const CARD_BASE_W = 2.6;
+
+// Room above the first row for the page heading (11pt baseline at 0.15 in + its descent)
+const HEADING_ROOM = 0.2;
+
+function num(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function clamp(n, min, max) {
+  return Math.min(max, Math.max(min, n));
+}
+
+/**
+ * Resolve a layout spec into concrete page + cell geometry.
+ *
+ * spec may be:
+ * - a preset id ("avery-5160")
+ * - { preset: "<id>" }
+ * - { preset: "custom", page, cols, rows, margin, gap, style? }
+ *
+ * Returns:
+ * { id, label, page, pageW, pageH, cols, rows, perPage,
+ *   marginX, marginY, gapX, gapY, gridTop, cellW, cellH, style, scale, showTitle }
+ * gridTop: top of the first row; marginY, or HEADING_ROOM when the page heading needs more.
+ */
+export function resolveLayout(spec = DEFAULT_LAYOUT) {
+  const s = typeof spec === "string" ? { preset: spec } : { ...(spec || {}) };
+  const id = s.preset || DEFAULT_LAYOUT;
+
+  let base;
+  if (id === "custom") {
+    base = {
+      label: "Custom grid",
+      page: s.page,
+      cols: Math.trunc(num(s.cols, 3)),
+      rows: Math.trunc(num(s.rows, 4)),
+      margin: num(s.margin, 0.2),
+      gap: num(s.gap, 0.1),
+      style: s.style === "label" ? "label" : "card",
+    };
+  } else {
+    base = LAYOUT_PRESETS[id];
+    if (!base) throw new Error(`Unknown layout "${id}".`);
+  }
+
+  const pageSize = PAGE_SIZES[base.page];
+  if (!pageSize) throw new Error(`Unknown page size "${base.page}".`);
+
+  const cols = base.cols;
+  const rows = base.rows;
+  if (!Number.isFinite(cols) || cols < 1 || cols > 10) throw new Error("Columns must be between 1 and 10.");
+  if (!Number.isFinite(rows) || rows < 1 || rows > 20) throw new Error("Rows must be between 1 and 20.");
+
+  const pageW = pageSize.w;
+  const pageH = pageSize.h;
+
+  const marginX = base.marginX ?? base.margin;
+  const marginY = base.marginY ?? base.margin;
+  const gapX = base.gapX ?? base.gap;
+  const gapY = base.gapY ?? base.gap;
+  const maxMargin = Math.min(pageW, pageH) / 2;
+  if (![marginX, marginY].every((m) => m >= 0 && m < maxMargin)) {
+    throw new Error(`Margin must be between 0 and ${maxMargin} in.`);
+  }
+  if (![gapX, gapY].every((g) => g >= 0 && g < maxMargin)) {
+    throw new Error(`Gap must be between 0 and ${maxMargin} in.`);
+  }
+
+  const style = base.style;
+  // Label sheets are printed edge-to-edge; a title would land on a label.
+  const showTitle = style !== "label";
+  const gridTop = showTitle ? Math.max(marginY, HEADING_ROOM) : marginY;
+
+  // Label stock has fixed cell sizes; grids fill the usable area.
+  const cellW = base.cellW ?? (pageW - marginX * 2 - gapX * (cols - 1)) / cols;
+  const cellH = base.cellH ?? (pageH - marginY * 2 - (gridTop - marginY) - gapY * (rows - 1)) / rows;
+
+  if (!(cellW > 0.5) || !(cellH > 0.5)) {
+    throw new Error("Layout leaves no room for QR codes (reduce rows/columns, margin or gap).");
+  }
+
+  const scale = base.scale ?? clamp(Math.min(cellW, cellH) / CARD_BASE_W, 0.6, 2.5);
+
+  return {
+    id,
+    label: base.label,
+    page: base.page,
+    pageW,
+    pageH,
+    cols,
+    rows,
+    perPage: cols * rows,
+    marginX,
+    marginY,
+    gapX,
+    gapY,
+    gridTop,
+    cellW,
+    cellH,
+    style,
+    scale,
+    showTitle,
+  };
+}
+
+/**
+ * Top-left corner of the cell at slot index i (0-based, row-major).
+ */
+export function cellOrigin(layout, i) {
+  const r = Math.floor(i / layout.cols);
+  const c = i % layout.cols;
+  return {
+    x: layout.marginX + c * (layout.cellW + layout.gapX),
+    y: layout.gridTop + r * (layout.cellH + layout.gapY),
+  };
+}
+
+/**
+ * Baseline of the 11pt page heading: in the space above the first row (gridTop), low enough
+ * for its ascent to stay on the page and high enough for its descent to clear the cells.
+ */
+export function headingBaseline(layout) {
+  return Math.max(0.15, layout.gridTop - 0.15);
+}
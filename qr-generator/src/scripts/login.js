@@ -1,20 +1,57 @@
-import { onlyDigits, padLeft } from "./format.js";
+import { applyUsernameRule, DEFAULT_USERNAME_RULE } from "./usernames.js";
 
 /**
- * Username rule (matches your example):
- *   username = {prefix}.{headset-number-padded}
- * Example:
+ * Username for a badge's fields with a username rule (see usernames.js).
+ * The default rule is {prefix}.{headset-number-padded}:
  *   prefix=a, headset=48, pad=3 => a.048
+ * fields: { prefix, headsetNumber, headsetPad, period?, teacher?, groupCode?, counter? }
  *
  * Period is still included in the QR payload separately.
  */
-export function buildUsername({ prefix, headsetNumber, headsetPad }) {
-  const cleanPrefix = (prefix ?? "").trim();
-  const paddedHeadset = padLeft(onlyDigits(headsetNumber), headsetPad, "0");
-  return `${cleanPrefix}.${paddedHeadset}`;
+export function buildUsername(fields, rule = DEFAULT_USERNAME_RULE) {
+  return applyUsernameRule(rule, { ...fields, prefix: (fields.prefix ?? "").trim() });
+}
+
+/**
+ * Inverse of the default username rule, for "{prefix}.{digits}" usernames.
+ * Returns { prefix, headsetNumber, headsetPad } or null.
+ */
+export function parseUsername(username) {
+  const m = /^(.+)\.(\d+)$/.exec(String(username ?? ""));
+  return m ? { prefix: m[1], headsetNumber: Number(m[2]), headsetPad: m[2].length } : null;
 }
 
 export function toInt(value) {
   const n = Number(value);
   return Number.isFinite(n) ? Math.trunc(n) : NaN;
 }
+
+export const MAX_HEADSET_LIST = 1000;
+
+/**
+ * Headset numbers from a list like "1-30, 35, 40-42" (commas, semicolons or new lines
+ * between parts; "–" works as well as "-"). Numbers keep the order given, repeats dropped.
+ * Throws on anything that isn't a positive number or a low-high range.
+ */
+export function parseHeadsetList(text) {
+  const numbers = new Set();
+  for (const raw of String(text ?? "").split(/[,;\n]+/)) {
+    const part = raw.trim();
+    if (!part) continue;
+
+    const m = /^(\d+)(?:\s*[-–—]\s*(\d+))?$/.exec(part);
+    if (!m) throw new Error(`"${part}" is not a headset number or range (e.g. 1-30).`);
+    const from = Number(m[1]);
+    const to = m[2] == null ? from : Number(m[2]);
+    if (from < 1) throw new Error(`"${part}": headset numbers start at 1.`);
+    if (to < from) throw new Error(`"${part}": write ranges low to high (${to}-${from}).`);
+    if (numbers.size + (to - from + 1) > MAX_HEADSET_LIST) {
+      throw new Error(`Too many headsets (at most ${MAX_HEADSET_LIST} at once).`);
+    }
+
+    for (let n = from; n <= to; n++) numbers.add(n);
+  }
+
+  if (numbers.size === 0) throw new Error("Enter headset numbers, e.g. 1-30, 35, 40-42.");
+  return [...numbers];
+}
@@ -0,0 +1,44 @@
+/**
+ * Remembered column mappings, keyed by header signature (see csv.js headerSignature).
+ * Stored in localStorage so repeat imports of the same roster layout skip the mapping step.
+ */
+const STORAGE_KEY = "starborn.columnMappings.v1";
+
+function readAll() {
+  try {
+    const raw = globalThis.localStorage?.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function writeAll(all) {
+  try {
+    globalThis.localStorage?.setItem(STORAGE_KEY, JSON.stringify(all));
+  } catch {
+    // storage full or disabled: mappings just won't be remembered
+  }
+}
+
+/**
+ * Saved { hasHeader, columns } for a signature, or null.
+ */
+export function loadSavedMapping(signature) {
+  const hit = readAll()[signature];
+  if (!hit || !Array.isArray(hit.columns)) return null;
+  return { hasHeader: !!hit.hasHeader, columns: hit.columns.map((c) => (typeof c === "string" ? c : "")) };
+}
+
+export function saveMapping(signature, mapping) {
+  const all = readAll();
+  all[signature] = { hasHeader: !!mapping.hasHeader, columns: [...mapping.columns], savedAt: Date.now() };
+  writeAll(all);
+}
+
+export function forgetMapping(signature) {
+  const all = readAll();
+  delete all[signature];
+  writeAll(all);
+}
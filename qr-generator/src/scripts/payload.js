@@ -1,15 +1,225 @@
+/**
+ * QR payload schemas, one per payload version.
+ *
+ * Each schema declares its fields (in serialization order), their validation
+ * rules, and how the object is serialized. "1.0" is the format the headset app
+ * reads today:
+ * {"version":"1.0","username":"myname.code","groupcode":"mygroup"}
+ *
+ * Field definition:
+ * { key, label, required?, extra?, aliases?, validate?(value) -> reason|null }
+ * - extra:   version-specific field (not username/groupcode); can come from a CSV column
+ * - aliases: normalized CSV header names for extra fields
+ */
+
+export const DEFAULT_PAYLOAD_VERSION = "1.0";
+
+const CORE_FIELDS = [
+  {
+    key: "username",
+    label: "Username",
+    required: true,
+    validate: (v) => (/\s/.test(v) ? "Must not contain spaces." : null),
+  },
+  {
+    key: "groupcode",
+    label: "Group Code",
+    required: true,
+    validate: (v) => (/^\d{4}$/.test(v) ? null : "Expected 4 digits."),
+  },
+];
+
+// CRC-32 (IEEE), hex. Catches typos/truncation, not tampering.
+function crc32Hex(str) {
+  let crc = 0xffffffff;
+  for (const byte of new TextEncoder().encode(str)) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+  }
+  return ((crc ^ 0xffffffff) >>> 0).toString(16).padStart(8, "0");
+}
+
+function isIsoDate(v) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(v)) return false;
+  const d = new Date(`${v}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === v;
+}
+
+const registry = new Map();
+
+/**
+ * Add (or replace) a payload version.
+ * schema: { version, label, fields, serialize?(obj) -> string, trailer?, check?(obj) }
+ * serialize defaults to JSON.stringify of the ordered object.
+ * trailer lists keys serialize appends (e.g. a checksum); check(obj) validates them
+ * when a scanned payload is parsed and returns [{ field, reason }].
+ */
+export function registerPayloadSchema(schema) {
+  if (!schema?.version || !Array.isArray(schema.fields)) throw new Error("Invalid payload schema.");
+  registry.set(schema.version, { serialize: (obj) => JSON.stringify(obj), ...schema });
+}
+
+export function getPayloadSchema(version = DEFAULT_PAYLOAD_VERSION) {
+  const schema = registry.get(String(version));
+  if (!schema) throw new Error(`Unknown payload version "${version}".`);
+  return schema;
+}
+
+export function listPayloadSchemas() {
+  return [...registry.values()];
+}
+
+/**
+ * Every extra field across all versions (deduplicated by key), for CSV column mapping.
+ */
+export function payloadExtraFields() {
+  const byKey = new Map();
+  for (const schema of registry.values()) {
+    for (const f of schema.fields) if (f.extra && !byKey.has(f.key)) byKey.set(f.key, f);
+  }
+  return [...byKey.values()];
+}
+
+registerPayloadSchema({
+  version: "1.0",
+  label: "1.0 – username + group code",
+  fields: CORE_FIELDS,
+});
+
+registerPayloadSchema({
+  version: "1.1",
+  label: "1.1 – adds region, class ID, expiry + checksum (needs updated headset app)",
+  fields: [
+    ...CORE_FIELDS,
+    {
+      key: "region",
+      label: "Server Region",
+      extra: true,
+      aliases: ["region", "server_region"],
+      validate: (v) => (/^[a-z]{2,8}(-[a-z0-9]{1,8})?$/i.test(v) ? null : "Expected a region code like \"us\" or \"eu-west\"."),
+    },
+    {
+      key: "classid",
+      label: "Class ID",
+      extra: true,
+      aliases: ["class_id", "classid"],
+      validate: (v) => (/^[A-Za-z0-9_-]{1,32}$/.test(v) ? null : "Letters, digits, - and _ only (max 32)."),
+    },
+    {
+      key: "expires",
+      label: "Expires (YYYY-MM-DD)",
+      extra: true,
+      aliases: ["expires", "expiry", "expiration", "expires_on"],
+      validate: (v) => (isIsoDate(v) ? null : "Expected a date as YYYY-MM-DD."),
+    },
+  ],
+  // Checksum over the canonical JSON of every other field
+  serialize: (obj) => JSON.stringify({ ...obj, checksum: crc32Hex(JSON.stringify(obj)) }),
+  trailer: ["checksum"],
+  check: ({ checksum, ...rest }) => {
+    if (!checksum) return [{ field: "checksum", reason: "Checksum is missing." }];
+    return checksum === crc32Hex(JSON.stringify(rest))
+      ? []
+      : [{ field: "checksum", reason: "Checksum does not match (payload altered or mistyped)." }];
+  },
+});
+
+function fieldValues({ username, groupCode, extra = {} }) {
+  return { ...extra, username: String(username ?? ""), groupcode: String(groupCode ?? "") };
+}
+
+/**
+ * Check values against a version's rules.
+ * Returns [{ field, reason }] (empty when valid).
+ */
+export function validatePayloadFields({ version = DEFAULT_PAYLOAD_VERSION, username, groupCode, extra = {} }) {
+  const schema = getPayloadSchema(version);
+  const values = fieldValues({ username, groupCode, extra });
+  const problems = [];
+
+  for (const f of schema.fields) {
+    const v = (values[f.key] ?? "").toString().trim();
+    if (!v) {
+      if (f.required) problems.push({ field: f.key, reason: `${f.label} is required.` });
+      continue;
+    }
+    const reason = f.validate?.(v);
+    if (reason) problems.push({ field: f.key, reason });
+  }
+
+  return problems;
+}
+
 /**
  * Build the JSON payload that gets encoded into the QR code.
- * Required format:
+ * version defaults to "1.0", whose output is:
  * {"version":"1.0","username":"myname.code","groupcode":"mygroup"}
+ *
+ * extra holds version-specific fields by key; empty optional fields are omitted,
+ * and fields the version doesn't declare are ignored.
  */
-export function buildPayload({ username, groupCode }) {
+export function buildPayload({ username, groupCode, version = DEFAULT_PAYLOAD_VERSION, extra = {} }) {
+  const schema = getPayloadSchema(version);
+  const values = fieldValues({ username, groupCode, extra });
+
   // Keep groupcode as a string to preserve leading zeros (e.g. "0004")
-  const payloadObj = {
-    version: "1.0",
-    username: String(username ?? ""),
-    groupcode: String(groupCode ?? ""),
-  };
+  const payloadObj = { version: schema.version };
+  for (const f of schema.fields) {
+    const v = (values[f.key] ?? "").toString().trim();
+    if (v || f.required) payloadObj[f.key] = f.required ? String(values[f.key] ?? "") : v;
+  }
+
+  return schema.serialize(payloadObj);
+}
+
+// Appended by signPayload (signing.js); not part of any schema
+const SIGNATURE_KEYS = ["alg", "kid", "sig"];
+
+/**
+ * Read a scanned QR text back into buildPayload's inputs.
+ * Returns { version, username, groupCode, extra, signed, problems: [{ field, reason }] };
+ * problems is empty when the payload matches a registered schema exactly.
+ */
+export function parsePayload(text) {
+  const result = { version: "", username: "", groupCode: "", extra: {}, signed: false, problems: [] };
+
+  let obj;
+  try {
+    obj = JSON.parse(text);
+  } catch {
+    obj = null;
+  }
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+    result.problems.push({ field: "payload", reason: "Not a Starborn login QR (expected a JSON object)." });
+    return result;
+  }
+
+  const fields = { ...obj };
+  result.signed = fields.sig != null;
+  for (const key of SIGNATURE_KEYS) delete fields[key];
+
+  result.version = String(fields.version ?? "");
+  result.username = String(fields.username ?? "");
+  result.groupCode = String(fields.groupcode ?? "");
+
+  const schema = registry.get(result.version);
+  if (!schema) {
+    result.problems.push({
+      field: "version",
+      reason: result.version ? `Unknown payload version "${result.version}".` : "Missing version.",
+    });
+    return result;
+  }
+
+  for (const f of schema.fields) if (f.extra && fields[f.key] != null) result.extra[f.key] = String(fields[f.key]);
+
+  result.problems.push(...validatePayloadFields(result));
+
+  const known = new Set(["version", ...schema.fields.map((f) => f.key), ...(schema.trailer ?? [])]);
+  for (const key of Object.keys(fields)) {
+    if (!known.has(key)) result.problems.push({ field: key, reason: `Not part of payload version ${schema.version}.` });
+  }
 
-  return JSON.stringify(payloadObj);
+  result.problems.push(...(schema.check?.(fields) ?? []));
+  return result;
 }
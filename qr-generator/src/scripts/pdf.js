@@ -1,51 +1,76 @@
 import { jsPDF } from "jspdf";
 import QRCode from "qrcode";
+import { resolveLayout, cellOrigin, headingBaseline, DEFAULT_LAYOUT, PAGE_SIZES } from "./layout.js";
+import { verifyEmbeddedQr } from "./verify.js";
+import {
+    groupPrintItems,
+    planPrintPages,
+    planRosterPages,
+    planExport,
+    isGrouped,
+    skippedCells,
+    rosterCells,
+    ROSTER_COLUMNS,
+    ROSTER_ROW_H,
+    ROSTER_MARGIN,
+    ROSTER_TABLE_TOP,
+    DIVIDER_COL_W,
+    DIVIDER_LINE_H,
+    dividerMargin,
+    dividerListTop,
+} from "./sections.js";
+import { qrShape, DEFAULT_QR_RENDER } from "./qrvector.js";
+import { layoutBadge, layoutLabel, DEFAULT_TEMPLATE, CARD_PAD, CARD_DASH_INSET, CARD_CROP_LEN, LABEL_PAD } from "./template.js";
 
 const DEFAULTS = {
     title: "Starborn Academy - QR Codes",
-    perPage: 12, // 3 cols x 4 rows
-    cols: 3,
-    rows: 4,
-    page: "letter",
+    layout: DEFAULT_LAYOUT, // preset id or { preset: "custom", ... } (see layout.js)
     unit: "in",
-    margin: 0.2,
-    gap: 0.1,
 
     // cell styling
-    pad: 0.08,
-    dashInset: 0.07,
-    cropLen: 0.10, // crop mark length
+    pad: CARD_PAD,
+    dashInset: CARD_DASH_INSET,
+    cropLen: CARD_CROP_LEN, // crop mark length
 
     // QR
     qrEcl: "M",
+    qrRender: DEFAULT_QR_RENDER, // "vector": modules drawn as PDF rectangles; "raster": a PNG per QR (see qrvector.js)
     qrPx: 512, // raster size embedded into PDF (sharp printing)
+    verify: false, // decode every QR as drawn into the PDF and report it via onVerify
+    startCell: 1, // first cell used on page 1 (1 = top-left, across then down), for partly used label sheets
+    groupBy: "none", // sort + section the items (see sections.js); each section starts a new page
+    dividers: true, // with groupBy: a divider page before each section listing its usernames
+    rosterSheets: "none", // class roster tables: "append" to each PDF part or a "separate" PDF (batched builder)
 
-    // Header styling (inches)
-    headerTopPad: 0.12,
-    headerBlockH: 0.98, 
+    // "card" style cells: fields, fonts, logo and QR placement (see template.js)
+    template: DEFAULT_TEMPLATE,
+
+    // "label" style cells
+    labelPad: LABEL_PAD,
 };
 
-const qrDataUrlCache = new Map(); // key -> dataUrl
+const YIELD_MS = 30; // longest stretch of drawing between yields (keeps the page, or a worker's cancel messages, responsive)
+
+const qrPngCache = new Map(); // key -> PNG (data URL, or bytes in a worker)
 
-async function payloadToPngDataUrlCached(payload, opts) {
+// qrcode's toDataURL needs a document; workers draw into an OffscreenCanvas instead
+async function payloadToPngCached(payload, opts) {
     const key = `${opts.qrEcl}|${opts.qrPx}|${payload}`;
-    const hit = qrDataUrlCache.get(key);
+    const hit = qrPngCache.get(key);
     if (hit) return hit;
 
-    const dataUrl = await QRCode.toDataURL(payload, {
-        errorCorrectionLevel: opts.qrEcl,
-        margin: 2,
-        width: opts.qrPx,
-    });
-
-    qrDataUrlCache.set(key, dataUrl);
-    return dataUrl;
-}
+    const qrOpts = { errorCorrectionLevel: opts.qrEcl, margin: 2, width: opts.qrPx };
+    let png;
+    if (typeof document === "undefined" && typeof OffscreenCanvas === "function") {
+        const canvas = new OffscreenCanvas(opts.qrPx, opts.qrPx);
+        await QRCode.toCanvas(canvas, payload, qrOpts);
+        png = new Uint8Array(await (await canvas.convertToBlob({ type: "image/png" })).arrayBuffer());
+    } else {
+        png = await QRCode.toDataURL(payload, qrOpts);
+    }
 
-function chunk(arr, size) {
-    const out = [];
-    for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
-    return out;
+    qrPngCache.set(key, png);
+    return png;
 }
 
 async function payloadToPngDataUrl(payload, opts) {
@@ -56,6 +81,22 @@ async function payloadToPngDataUrl(payload, opts) {
     });
 }
 
+// QR at (x, y), size × size inches, as vector rectangles or an embedded PNG (opts.qrRender).
+// Returns what was drawn, { shape } or { png }, for the scan check (verify.js verifyEmbeddedQr).
+async function drawQr(doc, payload, { x, y, size }, opts) {
+    if (opts.qrRender === "raster") {
+        const png = await payloadToPngCached(payload, opts);
+        doc.addImage(png, "PNG", x, y, size, size);
+        return { png };
+    }
+
+    const shape = qrShape(payload, { qrEcl: opts.qrEcl });
+    const m = size / shape.size;
+    doc.setFillColor(0, 0, 0);
+    for (const r of shape.rects) doc.rect(x + r.x * m, y + r.y * m, r.w * m, r.h * m, "F");
+    return { shape };
+}
+
 function drawCropMarks(doc, x, y, w, h, len) {
     // Top-left
     doc.line(x, y, x + len, y);
@@ -91,213 +132,394 @@ function underline(doc, x, y, width) {
     doc.line(x, y + 0.03, x + width, y + 0.03);
 }
 
-function drawCenteredMixedLine(doc, centerX, y, leftText, rightText, leftStyle, rightStyle, underlineRight = false) {
-    // Measure total width with styles
-    doc.setFont("helvetica", leftStyle);
-    const wLeft = doc.getTextWidth(leftText);
+// Largest font size (pt) <= max at which text fits in maxW inches.
+function fitFontSize(doc, text, maxW, max, min = 5) {
+    let size = max;
+    doc.setFontSize(size);
+    while (size > min && doc.getTextWidth(text) > maxW) {
+        size -= 0.5;
+        doc.setFontSize(size);
+    }
+    return size;
+}
 
-    doc.setFont("helvetica", rightStyle);
-    const wRight = doc.getTextWidth(rightText);
+function measureText(doc, text, size, bold) {
+    doc.setFont("helvetica", bold ? "bold" : "normal");
+    doc.setFontSize(size);
+    return doc.getTextWidth(text);
+}
 
-    const total = wLeft + wRight;
-    const startX = centerX - total / 2;
+// Text runs from layoutBadge / layoutLabel
+function drawRuns(doc, runs) {
+    for (const run of runs) {
+        doc.setFont("helvetica", run.bold ? "bold" : "normal");
+        doc.setFontSize(run.size);
+        doc.text(run.text, run.x, run.y);
+        if (run.underline) underline(doc, run.x, run.y, run.width);
+    }
+}
 
-    // Draw left
-    doc.setFont("helvetica", leftStyle);
-    doc.text(leftText, startX, y);
+async function drawCardCell(doc, x, y, layout, opts, it) {
+    const { cellW, cellH, scale } = layout;
 
-    // Draw right
-    const rightX = startX + wLeft;
-    doc.setFont("helvetica", rightStyle);
-    doc.text(rightText, rightX, y);
+    doc.setDrawColor(0);
+    doc.setLineWidth(0.01);
+    drawCell(doc, x, y, cellW, cellH, opts);
+
+    // Inner content area
+    const innerX = x + opts.pad;
+    const innerY = y + opts.pad;
+    const innerW = cellW - 2 * opts.pad;
+    const innerH = cellH - 2 * opts.pad;
+
+    const box = { x: innerX, y: innerY, w: innerW, h: innerH };
+    const badge = layoutBadge(opts.template, it, box, {
+        scale,
+        measure: (text, size, bold) => measureText(doc, text, size, bold),
+    });
 
-    // Underline the value portion if desired
-    if (underlineRight && rightText) {
-        const valueW = wRight;
-        underline(doc, rightX, y, valueW);
+    if (badge.logo) {
+        doc.addImage(badge.logo.dataUrl, "PNG", badge.logo.x, badge.logo.y, badge.logo.w, badge.logo.h);
     }
+
+    drawRuns(doc, badge.runs);
+
+    return badge.qr.size > 0 ? drawQr(doc, it.payload, badge.qr, opts) : null;
 }
 
-function drawHeader(doc, x, y, w, opts, groupCode, username, teacher, period) {
-  const centerX = x + w / 2;
-
-  // Move down slightly to avoid clipping
-  const y0 = y + 0.06;
-
-  // Top line: "Starborn Academy"
-  doc.setFont("helvetica", "normal");
-  doc.setFontSize(9);
-  doc.text("Starborn Academy", centerX, y0, { align: "center" });
-
-  // Big lines
-  doc.setFontSize(16);
-
-  // Username first (underlined value)
-  drawCenteredMixedLine(
-    doc,
-    centerX,
-    y0 + 0.28,
-    "Username: ",
-    String(username ?? ""),
-    "bold",
-    "normal",
-    true
-  );
-
-  // Group Code second (underlined value)
-  drawCenteredMixedLine(
-    doc,
-    centerX,
-    y0 + 0.56,
-    "Group Code: ",
-    String(groupCode ?? ""),
-    "bold",
-    "normal",
-    true
-  );
-
-  // Teacher + Period line (smaller)
-  doc.setFont("helvetica", "normal");
-  doc.setFontSize(10);
-
-  const parts = [];
-  if (teacher) parts.push(`Teacher: ${teacher}`);
-  if (period) parts.push(`Period: ${period}`);
-  const line = parts.join("   •   ");
-
-  if (line) {
-    doc.text(line, centerX, y0 + 0.74, { align: "center" });
-  }
+/**
+ * Compact cell for adhesive label stock: no borders (labels are die-cut).
+ * Wide labels put the QR on the left and text on the right;
+ * square labels put the QR on top and a single text line below (see template.js layoutLabel).
+ */
+async function drawLabelCell(doc, x, y, layout, opts, it) {
+    const label = layoutLabel(it, { x, y, w: layout.cellW, h: layout.cellH }, {
+        pad: opts.labelPad,
+        measure: (text, size, bold) => measureText(doc, text, size, bold),
+    });
+
+    const qr = await drawQr(doc, it.payload, label.qr, opts);
+    drawRuns(doc, label.runs);
+    return qr;
 }
 
-export async function buildQrPdf(items, userOpts = {}) {
-    function yieldToUI() {
-        return new Promise((r) => setTimeout(r, 0));
+/**
+ * One divider page (sections.js planDividerPages): the section's title, its teacher/period/group
+ * code on the first page, and its share of the usernames in columns.
+ */
+function drawDividerPage(doc, layout, opts, { section, names, perCol, page, pages }) {
+    const pageW = doc.internal.pageSize.getWidth();
+    const margin = dividerMargin(layout);
+    const title = `${section.title}${section.continued || page > 1 ? " (continued)" : ""}`;
+
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(10);
+    doc.text(opts.title, margin, margin);
+
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(fitFontSize(doc, title, pageW - 2 * margin, 26, 12));
+    doc.text(title, margin, margin + 0.55);
+
+    doc.setFontSize(12);
+    if (page === 1) {
+        const facts = [
+            ["Teacher", section.teachers.join(", ") || "—"],
+            ["Period", section.periods.join(", ") || "—"],
+            ["Group Code", section.groupCodes.join(", ") || "—"],
+            ["QR Codes", String(section.items.length)],
+        ];
+        let y = margin + 1.0;
+        for (const [label, value] of facts) {
+            doc.setFont("helvetica", "bold");
+            doc.text(`${label}:`, margin, y);
+            doc.setFont("helvetica", "normal");
+            doc.text(doc.splitTextToSize(value, pageW - 2 * margin - 1.3)[0], margin + 1.3, y);
+            y += 0.25;
+        }
     }
 
+    // Username list
+    const top = dividerListTop(layout, page);
+    doc.setFont("helvetica", "bold");
+    doc.text(pages > 1 ? `Usernames (page ${page} of ${pages})` : "Usernames", margin, top - 0.3);
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(10);
+    names.forEach((name, i) => {
+        const c = Math.floor(i / perCol);
+        doc.text(name, margin + c * DIVIDER_COL_W, top + (i % perCol) * DIVIDER_LINE_H);
+    });
+}
+
+/**
+ * items: badge records (see badge.js); payload, groupCode and username are all a QR needs.
+ * opts.verify: scan-check each QR after drawing it, decoding the PNG or vector shape that went into
+ * the PDF (cards whose template hides the QR are skipped); opts.onVerify({ item, result }) receives
+ * every result (see verify.js).
+ * opts.startCell: begin on that cell of the first page (earlier cells stay blank).
+ * opts.groupBy / opts.dividers: sort into sections, each on new pages (see sections.js);
+ * opts.sections overrides the grouping with pieces already planned by planPdfParts.
+ * opts.onCell({ item, page, cell }) is told where each item was drawn (1-based page and cell).
+ * opts.isCancelled() is checked between cells; returns null once it is true.
+ */
+export async function buildQrPdf(items, userOpts = {}) {
     const opts = { ...DEFAULTS, ...userOpts };
 
     if (!Array.isArray(items) || items.length === 0) {
         throw new Error("No items to export.");
     }
 
+    const layout = resolveLayout(opts.layout);
+
     const doc = new jsPDF({
         orientation: "portrait",
         unit: opts.unit,
-        format: opts.page,
+        format: layout.page,
         compress: true,
     });
 
-    // Letter in inches
-    const pageW = 8.5;
-    const pageH = 11;
-
-    const usableW = pageW - opts.margin * 2;
-    const usableH = pageH - opts.margin * 2;
-
-    const totalGapW = opts.gap * (opts.cols - 1);
-    const totalGapH = opts.gap * (opts.rows - 1);
-
-    const cellW = (usableW - totalGapW) / opts.cols;
-    const cellH = (usableH - totalGapH) / opts.rows;
+    const drawItem = layout.style === "label" ? drawLabelCell : drawCardCell;
+    const pages = planPrintPages(opts.sections ?? groupPrintItems(items, opts.groupBy), {
+        perPage: layout.perPage,
+        skip: skippedCells(opts.startCell, layout.perPage),
+        dividers: opts.dividers && isGrouped(opts.groupBy),
+        layout,
+        title: opts.title,
+    });
 
-    const pages = chunk(items, opts.perPage);
+    let lastYield = performance.now();
 
     for (let p = 0; p < pages.length; p++) {
+        const page = pages[p];
         if (p > 0) doc.addPage();
 
-        // Title (small)
-        doc.setFont("helvetica", "normal");
-        doc.setFontSize(11);
-        doc.text(`${opts.title} (Page ${p + 1} of ${pages.length})`, opts.margin, opts.margin - 0.15);
+        if (page.kind === "divider") {
+            drawDividerPage(doc, layout, opts, page);
+            continue;
+        }
 
-        const pageItems = pages[p];
+        if (layout.showTitle) {
+            // Title (small), in the top margin
+            doc.setFont("helvetica", "normal");
+            doc.setFontSize(11);
+            doc.text(page.heading, layout.marginX, headingBaseline(layout));
+        }
 
-        for (let i = 0; i < pageItems.length; i++) {
-            const it = pageItems[i];
+        for (let i = 0; i < page.cells.length; i++) {
+            const { slot, item } = page.cells[i];
+            const { x, y } = cellOrigin(layout, slot);
+            const qr = await drawItem(doc, x, y, layout, opts, item);
+            opts.onCell?.({ item, page: doc.getNumberOfPages(), cell: slot + 1 });
+
+            if (opts.verify && qr) {
+                const result = await verifyEmbeddedQr(item.payload, qr, opts);
+                opts.onVerify?.({ item, result });
+            }
+
+            if (performance.now() - lastYield > YIELD_MS) {
+                await yieldToUI();
+                lastYield = performance.now();
+            }
+            if (opts.isCancelled?.()) return null;
+        }
+    }
 
-            const r = Math.floor(i / opts.cols);
-            const c = i % opts.cols;
+    return doc;
+}
 
-            const x = opts.margin + c * (cellW + opts.gap);
-            const y = opts.margin + r * (cellH + opts.gap);
+// Class roster tables (layout and pages: sections.js)
+export const ROSTER_SHEET_MODES = ["none", "append", "separate"];
+
+function drawRosterPage(doc, opts, { section, rows, page, pages }) {
+    const pageW = doc.internal.pageSize.getWidth();
+    const margin = ROSTER_MARGIN;
+    const tableW = pageW - 2 * margin;
+    const widths = ROSTER_COLUMNS.map((c) => c.w || tableW - ROSTER_COLUMNS.reduce((a, x) => a + x.w, 0));
+
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(10);
+    doc.text(opts.title, margin, margin);
+
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(16);
+    doc.text(`Class Roster – ${section.title}`, margin, margin + 0.35);
+
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(10);
+    const facts = [
+        section.groupCodes.length ? `Group Code: ${section.groupCodes.join(", ")}` : "",
+        `${section.items.length} headset(s)`,
+        pages > 1 ? `Page ${page} of ${pages}` : "",
+    ].filter(Boolean);
+    doc.text(facts.join("   •   "), margin, margin + 0.62);
+
+    // Header row + body rows
+    const lines = [ROSTER_COLUMNS.map((c) => c.label), ...rows.map(rosterCells)];
+    doc.setLineWidth(0.01);
+    doc.setDrawColor(0);
+    lines.forEach((cells, r) => {
+        const y = ROSTER_TABLE_TOP + r * ROSTER_ROW_H;
+        if (r === 0) {
+            doc.setFillColor(235, 235, 235);
+            doc.rect(margin, y, tableW, ROSTER_ROW_H, "F");
+        }
+        doc.setFont("helvetica", r === 0 ? "bold" : "normal");
+        doc.setFontSize(r === 0 ? 10 : 11);
+
+        let x = margin;
+        cells.forEach((text, c) => {
+            doc.rect(x, y, widths[c], ROSTER_ROW_H);
+            if (text) doc.text(doc.splitTextToSize(text, widths[c] - 0.12)[0], x + 0.06, y + ROSTER_ROW_H * 0.68);
+            x += widths[c];
+        });
+    });
+}
 
-            doc.setDrawColor(0);
-            doc.setLineWidth(0.01);
-            drawCell(doc, x, y, cellW, cellH, opts);
+/**
+ * Draw roster tables for items into doc: one table per teacher + period (sections.js
+ * "teacher" grouping), sorted by headset, continuing on extra pages for long classes.
+ * opts.freshDoc: the doc's current (first) page is still blank, so start on it.
+ */
+export function appendRosterSheets(doc, items, userOpts = {}) {
+    const opts = { ...DEFAULTS, ...userOpts };
+    planRosterPages(items, doc.internal.pageSize.getHeight()).forEach((page, i) => {
+        if (i > 0 || !opts.freshDoc) doc.addPage();
+        drawRosterPage(doc, opts, page);
+    });
+    return doc;
+}
 
-            // Inner content area
-            const innerX = x + opts.pad;
-            const innerY = y + opts.pad;
-            const innerW = cellW - 2 * opts.pad;
-            const innerH = cellH - 2 * opts.pad;
+/**
+ * Roster sheets as their own PDF, on the layout's page size (see appendRosterSheets).
+ */
+export function buildRosterSheetPdf(items, userOpts = {}) {
+    const opts = { ...DEFAULTS, ...userOpts };
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new Error("No items to export.");
+    }
 
-            // Header block (like your screenshot)
-            const headerY = innerY + opts.headerTopPad;
-            drawHeader(doc, innerX, headerY, innerW, opts, it.groupCode, it.username, it.teacher, it.period);
+    const page = resolveLayout(opts.layout).page;
+    const doc = new jsPDF({
+        orientation: "portrait",
+        unit: opts.unit,
+        format: PAGE_SIZES[page] ? page : "letter",
+        compress: true,
+    });
+    return appendRosterSheets(doc, items, { ...opts, freshDoc: true });
+}
 
-            // QR area below header
-            const qrTop = innerY + opts.headerBlockH;
-            const qrAvailH = innerY + innerH - qrTop;
+function yieldToUI() {
+    return new Promise((r) => setTimeout(r, 0));
+}
 
-            const qrSize = Math.min(innerW, qrAvailH);
-            const qrX = innerX + (innerW - qrSize) / 2;
-            const qrY = qrTop;
+function pdfBytes(doc) {
+    return new Uint8Array(doc.output("arraybuffer"));
+}
 
-            const pngDataUrl = await payloadToPngDataUrlCached(it.payload, opts);
-            doc.addImage(pngDataUrl, "PNG", qrX, qrY, qrSize, qrSize);
+/**
+ * One part of a batched export: buildQrPdf over the part's sections (planPdfParts), plus its
+ * class roster tables when opts.rosterSheets is "append". Runs on the page or in a worker (qr.worker.js).
+ * hooks.onCell({ index, page, cell }) and hooks.onFailure({ index, result }) (scan check) refer to
+ * items by their index in the part; hooks.isCancelled() stops it early.
+ * Returns the PDF file as bytes, or null when cancelled.
+ */
+export async function buildPdfPart(sections, opts, hooks = {}) {
+    const items = sections.flatMap((section) => section.items);
+    const indexOf = new Map(items.map((item, i) => [item, i]));
+
+    const doc = await buildQrPdf(items, {
+        ...opts,
+        sections,
+        isCancelled: hooks.isCancelled,
+        onCell: ({ item, page, cell }) => hooks.onCell?.({ index: indexOf.get(item), page, cell }),
+        onVerify: ({ item, result }) => {
+            if (result.status !== "ok") hooks.onFailure?.({ index: indexOf.get(item), result });
+        },
+    });
+    if (!doc) return null;
 
-            // yield every 3-4 items (tune)
-            if (i % 3 === 0) await yieldToUI();
-        }
-    }
+    if (opts.rosterSheets === "append") appendRosterSheets(doc, items, opts);
+    return pdfBytes(doc);
+}
 
-    return doc;
+/**
+ * The "separate" roster part as bytes (see buildRosterSheetPdf).
+ */
+export function buildRosterSheetBytes(items, opts) {
+    return pdfBytes(buildRosterSheetPdf(items, opts));
 }
 
-export async function buildQrPdfAndOpen(items, opts = {}) {
-    const doc = await buildQrPdf(items, opts);
-    const blobUrl = doc.output("bloburl");
-    window.open(blobUrl, "_blank", "noopener,noreferrer");
+// Options as a worker can receive them (no callbacks)
+function workerOpts(opts) {
+    return Object.fromEntries(Object.entries(opts).filter(([key, v]) => typeof v !== "function" && key !== "pool"));
 }
 
-export async function buildQrPdfAndDownload(items, filename = "starborn_qr_codes.pdf", opts = {}) {
-    const doc = await buildQrPdf(items, opts);
-    doc.save(filename);
+// buildPdfPart in one of pool's workers (see qrPool.js); same hooks and result
+async function buildPdfPartInPool(pool, sections, opts, hooks) {
+    const reply = await pool.run("part", { sections, opts: workerOpts(opts) }, {
+        isCancelled: hooks.isCancelled,
+        onProgress: ({ cells, failures }) => {
+            cells.forEach((cell) => hooks.onCell?.(cell));
+            failures.forEach((failure) => hooks.onFailure?.(failure));
+        },
+    });
+    return reply.cancelled ? null : reply.bytes;
 }
 
-// --- Add near bottom of src/scripts/pdf.js ---
+// DEFAULTS under opts, skipping options passed as undefined
+function withDefaults(opts) {
+    return { ...DEFAULTS, ...Object.fromEntries(Object.entries(opts).filter(([, v]) => v !== undefined)) };
+}
 
-function yieldToUI() {
-    return new Promise((r) => setTimeout(r, 0));
+function seconds(since) {
+    return `${((performance.now() - since) / 1000).toFixed(1)} s`;
 }
 
 /**
  * Batched PDF export with progress callbacks + cancel support.
+ * DOM-free: each finished part is handed to opts.onPart (open it, save it, ...), in order.
  *
- * @param {Array} items
+ * @param {Array} items  badge records (see badge.js)
  * @param {Object} opts
+ * @param {(part: {bytes:Uint8Array, part:number, totalParts:number, title:string, items:Array, kind:"qr"|"roster"})=>(void|Promise<void>)} opts.onPart
+ *   bytes: the finished PDF file
  * @param {(info: {phase:string, part:number, totalParts:number, done:number, total:number, remaining:number, message:string})=>void} opts.onProgress
  * @param {()=>boolean} opts.isCancelled
- * @param {number} opts.perPage
+ * @param {Object} opts.pool  optional createQrPool() (see qrPool.js): parts are built side by side in its
+ *   workers and the page only handles progress; without it, parts are built here one after another
+ * @param {string|Object} opts.layout  layout preset id or spec (see layout.js); sets items per page
  * @param {number} opts.maxPagesPerPdf
  * @param {string} opts.title
- * @returns {Promise<{cancelled:boolean, totalParts:number}>}
+ * @param {boolean} opts.verify  scan-check every QR as drawn into the PDF; failures are reported as "verify-failed" progress
+ * @param {string} opts.qrRender  "vector" (default) or "raster" QRs (see qrvector.js)
+ * @param {number} opts.startCell  first cell used on the first page of the first PDF
+ * @param {string} opts.groupBy  sort/section items (see sections.js); sections are kept whole per PDF when they fit
+ * @param {boolean} opts.dividers  with groupBy: a divider page before each section
+ * @param {string} opts.rosterSheets  "append": class roster tables at the end of each part;
+ *   "separate": one more part (kind "roster") holding the tables for all items
+ * @param {(cell: {item:Object, part:number, totalParts:number, page:number, cell:number})=>void} opts.onCell
+ *   where each item was drawn (page and cell are 1-based, within its part)
+ * @returns {Promise<{cancelled:boolean, totalParts:number, failures:Array<{item:Object, result:Object}>}>}
  */
-export async function buildQrPdfBatchedAndOpenWithProgress(items, opts = {}) {
-    const perPage = opts.perPage ?? 12;
+export async function buildQrPdfBatchedWithProgress(items, opts = {}) {
     const maxPagesPerPdf = opts.maxPagesPerPdf ?? 10;
-    const title = opts.title ?? "Starborn Academy - QR Codes";
     const onProgress = typeof opts.onProgress === "function" ? opts.onProgress : () => { };
     const isCancelled = typeof opts.isCancelled === "function" ? opts.isCancelled : () => false;
-
-    const itemsPerPdf = perPage * maxPagesPerPdf;
+    const onPart = typeof opts.onPart === "function" ? opts.onPart : () => { };
+    const pool = opts.pool ?? null;
+    const failures = [];
+    const started = performance.now();
 
     if (!Array.isArray(items) || items.length === 0) {
         throw new Error("No items to export.");
     }
 
-    const totalParts = Math.ceil(items.length / itemsPerPdf);
+    // The same plan the print preview shows; blank cells at the start of part 1 count towards its page limit
+    const planOpts = { ...withDefaults(opts), maxPagesPerPdf };
+    const plan = planExport(items, resolveLayout(planOpts.layout), planOpts);
+    const qrParts = plan.filter((p) => p.kind === "qr");
+    const parts = qrParts.map((p) => p.sections);
+    const totalParts = parts.length;
+    const partTitle = (part) => qrParts[part].title;
 
     if (totalParts > 1) {
         onProgress({
@@ -313,6 +535,49 @@ export async function buildQrPdfBatchedAndOpenWithProgress(items, opts = {}) {
     }
 
     let done = 0;
+    let drawn = 0; // QRs drawn so far, across parts being built side by side
+    let current = 0; // part whose progress is shown
+    let lastReport = 0;
+
+    function reportBuilding(force = false) {
+        const now = performance.now();
+        if (!force && now - lastReport < 250) return;
+        lastReport = now;
+        onProgress({
+            phase: "building",
+            part: current + 1,
+            totalParts,
+            done,
+            total: items.length,
+            remaining: items.length - done,
+            message:
+                `Building PDF ${current + 1}/${totalParts} (${parts[current].flatMap((s) => s.items).length} QRs)... ` +
+                `${drawn}/${items.length} QRs drawn.`,
+        });
+    }
+
+    // -> { bytes (null when cancelled), slice, failures }
+    function buildPart(part) {
+        const sections = parts[part];
+        const slice = sections.flatMap((section) => section.items);
+        const partFailures = [];
+        const hooks = {
+            isCancelled,
+            onCell: ({ index, page, cell }) => {
+                drawn++;
+                opts.onCell?.({ item: slice[index], page, cell, part: part + 1, totalParts });
+                reportBuilding();
+            },
+            onFailure: ({ index, result }) => partFailures.push({ item: slice[index], result }),
+        };
+        const partOpts = { ...opts, title: partTitle(part), startCell: part === 0 ? opts.startCell : 1 };
+        const bytes = pool ? buildPdfPartInPool(pool, sections, partOpts, hooks) : buildPdfPart(sections, partOpts, hooks);
+        return bytes.then((b) => ({ bytes: b, slice, failures: partFailures }));
+    }
+
+    // Workers build every part at once (the pool queues them); the page builds one at a time
+    const builds = pool ? parts.map((_, part) => buildPart(part)) : [];
+    for (const b of builds) b.catch(() => { }); // awaited (and thrown) in order below
 
     for (let part = 0; part < totalParts; part++) {
         if (isCancelled()) {
@@ -325,29 +590,32 @@ export async function buildQrPdfBatchedAndOpenWithProgress(items, opts = {}) {
                 remaining: items.length - done,
                 message: `Cancelled. ${done}/${items.length} completed.`,
             });
-            return { cancelled: true, totalParts };
+            return { cancelled: true, totalParts, failures };
         }
 
-        const start = part * itemsPerPdf;
-        const end = Math.min(items.length, start + itemsPerPdf);
-        const slice = items.slice(start, end);
-
-        const partTitle = totalParts > 1 ? `${title} (Part ${part + 1} of ${totalParts})` : title;
-
-        onProgress({
-            phase: "building",
-            part: part + 1,
-            totalParts,
-            done,
-            total: items.length,
-            remaining: items.length - done,
-            message: `Building PDF ${part + 1}/${totalParts} (${slice.length} QRs)...`,
-        });
+        current = part;
+        reportBuilding(true);
         await yieldToUI();
 
-        const doc = await buildQrPdf(slice, { ...opts, title: partTitle, perPage });
+        const { bytes, slice, failures: partFailures } = await (builds[part] ?? buildPart(part));
 
-        if (isCancelled()) {
+        if (partFailures.length) {
+            failures.push(...partFailures);
+            onProgress({
+                phase: "verify-failed",
+                part: part + 1,
+                totalParts,
+                done,
+                total: items.length,
+                remaining: items.length - done,
+                failures: partFailures,
+                message:
+                    `PDF ${part + 1}/${totalParts}: ${partFailures.length} QR(s) failed the scan check: ` +
+                    partFailures.map((f) => `${f.item.username} (${f.result.status})`).join(", "),
+            });
+        }
+
+        if (!bytes || isCancelled()) {
             onProgress({
                 phase: "cancelled",
                 part: part + 1,
@@ -355,30 +623,40 @@ export async function buildQrPdfBatchedAndOpenWithProgress(items, opts = {}) {
                 done,
                 total: items.length,
                 remaining: items.length - done,
-                message: `Cancelled after building PDF ${part + 1}.`,
+                message: bytes ? `Cancelled after building PDF ${part + 1}.` : `Cancelled. ${done}/${items.length} completed.`,
             });
-            return { cancelled: true, totalParts };
+            return { cancelled: true, totalParts, failures };
         }
 
-        // Open the PDF in a new tab
-        const blobUrl = doc.output("bloburl");
-        const opened = window.open(blobUrl, "_blank", "noopener,noreferrer");
+        await onPart({ bytes, part: part + 1, totalParts, title: partTitle(part), items: slice, kind: "qr" });
 
         done += slice.length;
 
         onProgress({
-            phase: "opened",
+            phase: "finished",
             part: part + 1,
             totalParts,
             done,
             total: items.length,
             remaining: items.length - done,
-            message: `Finished PDF ${part + 1}/${totalParts}. (${done}/${items.length} done, ${items.length - done} remaining)`,
+            message:
+                `Finished PDF ${part + 1}/${totalParts}. (${done}/${items.length} done, ${items.length - done} remaining)` +
+                (opts.verify ? (partFailures.length ? ` ${partFailures.length} failed the scan check.` : " All QRs scan back.") : ""),
         });
 
         await yieldToUI();
     }
 
+    const rosterPart = plan.find((p) => p.kind === "roster");
+    if (rosterPart) {
+        const rosterTitle = rosterPart.title;
+        const rosterOpts = { ...opts, title: rosterTitle };
+        const bytes = pool
+            ? (await pool.run("roster", { items, opts: workerOpts(rosterOpts) })).bytes
+            : buildRosterSheetBytes(items, rosterOpts);
+        await onPart({ bytes, part: totalParts + 1, totalParts, title: rosterTitle, items, kind: "roster" });
+    }
+
     onProgress({
         phase: "done",
         part: totalParts,
@@ -386,8 +664,18 @@ export async function buildQrPdfBatchedAndOpenWithProgress(items, opts = {}) {
         done,
         total: items.length,
         remaining: 0,
-        message: `All PDFs generated. (${done}/${items.length})`,
+        message:
+            `All PDFs generated. (${done}/${items.length}) in ${seconds(started)}.` +
+            (failures.length ? ` ${failures.length} QR(s) failed the scan check.` : ""),
     });
 
-    return { cancelled: false, totalParts };
+    return { cancelled: false, totalParts, failures };
+}
+
+/**
+ * File name of a part from the batched builder: base.pdf, base_part2.pdf, base_roster.pdf.
+ */
+export function pdfPartFileName(base, { part, totalParts, kind }) {
+    if (kind === "roster") return `${base}_roster.pdf`;
+    return totalParts > 1 ? `${base}_part${part}.pdf` : `${base}.pdf`;
 }
@@ -0,0 +1,148 @@
+/**
+ * Named roster projects ("Lincoln MS – Fall 2026"), saved in this browser's IndexedDB.
+ *
+ * Project:
+ * {
+ *   id, name, createdAt, updatedAt,      ISO timestamps
+ *   manual:   { group, period, teacher, headset, prefix, pad, payloadVersion, extra } | null
+ *   settings: { layout, dupPolicy, csvPayloadVersion, verifyScans, startCell, groupBy, dividers, rosterSheets,
+ *               qrRender, exportTarget, zipPngs, useWorkers, usernameRule, template } | null
+ *   roster:   { fileName, tables: [{ name, rows }], mappings: [mapping|null] } | null
+ *   rows:     working rows after edits in the results grid (see rows.js) | null
+ *   printHistory: [{ at, source, count, skipped, layout, title }]   newest last; source: manual|csv|selection
+ * }
+ *
+ * A project moves between laptops as one JSON file (projectToJson / projectFromJson).
+ */
+
+const DB_NAME = "starborn-qr";
+const DB_VERSION = 1;
+const STORE = "projects";
+const ACTIVE_KEY = "starborn.activeProject.v1";
+
+export const PROJECT_FILE_FORMAT = "starborn-qr-project";
+const PROJECT_FILE_VERSION = 1;
+
+let dbPromise = null;
+
+function openDb() {
+  if (!globalThis.indexedDB) return Promise.reject(new Error("This browser can't store projects (no IndexedDB)."));
+
+  dbPromise ??= new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      if (!req.result.objectStoreNames.contains(STORE)) req.result.createObjectStore(STORE, { keyPath: "id" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }).catch((err) => {
+    dbPromise = null;
+    throw err;
+  });
+
+  return dbPromise;
+}
+
+// Run one request against the store; resolves with its result once the transaction commits.
+async function withStore(mode, makeRequest) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = makeRequest(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function makeId() {
+  return globalThis.crypto?.randomUUID?.() ?? `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export function newProject(name) {
+  const now = new Date().toISOString();
+  return {
+    id: makeId(),
+    name: String(name ?? "").trim() || "Untitled project",
+    createdAt: now,
+    updatedAt: now,
+    manual: null,
+    settings: null,
+    roster: null,
+    rows: null,
+    printHistory: [],
+  };
+}
+
+/**
+ * [{ id, name, updatedAt }], most recently changed first.
+ */
+export async function listProjects() {
+  const all = await withStore("readonly", (store) => store.getAll());
+  return all
+    .map(({ id, name, updatedAt }) => ({ id, name, updatedAt }))
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+export async function getProject(id) {
+  return (await withStore("readonly", (store) => store.get(id))) ?? null;
+}
+
+export async function putProject(project) {
+  project.updatedAt = new Date().toISOString();
+  await withStore("readwrite", (store) => store.put(project));
+  return project;
+}
+
+export async function deleteProject(id) {
+  await withStore("readwrite", (store) => store.delete(id));
+}
+
+export function getActiveProjectId() {
+  try {
+    return localStorage.getItem(ACTIVE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+export function setActiveProjectId(id) {
+  try {
+    if (id) localStorage.setItem(ACTIVE_KEY, id);
+    else localStorage.removeItem(ACTIVE_KEY);
+  } catch {
+    // storage disabled: the first project opens next time
+  }
+}
+
+export function projectToJson(project) {
+  return JSON.stringify({ format: PROJECT_FILE_FORMAT, version: PROJECT_FILE_VERSION, project }, null, 2);
+}
+
+/**
+ * Parse an exported project file. The project gets a fresh id so importing
+ * never overwrites a project already on this laptop.
+ */
+export function projectFromJson(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new Error("Project file is not valid JSON.");
+  }
+  if (file?.format !== PROJECT_FILE_FORMAT || !file.project || typeof file.project !== "object") {
+    throw new Error("Not a Starborn QR project file.");
+  }
+  if (file.version > PROJECT_FILE_VERSION) {
+    throw new Error("This project was saved by a newer version of the generator.");
+  }
+
+  const base = newProject(file.project.name);
+  return {
+    ...base,
+    ...file.project,
+    id: base.id,
+    rows: Array.isArray(file.project.rows) ? file.project.rows : null,
+    printHistory: Array.isArray(file.project.printHistory) ? file.project.printHistory : [],
+  };
+}
@@ -0,0 +1,113 @@
+import QRCode from "qrcode";
+import { buildPdfPart, buildRosterSheetBytes } from "./pdf.js";
+import { verifyCanvas } from "./verify.js";
+
+/**
+ * Worker side of qrPool.js: builds PDF parts, runs scan checks and draws QR rasters and PNGs
+ * off the page's thread. One job at a time; "cancel" messages are seen whenever a job yields.
+ */
+
+const PROGRESS_MS = 100; // batch progress messages
+const cancelled = new Set(); // ids of jobs asked to stop
+
+function yieldNow() {
+  return new Promise((r) => setTimeout(r, 0));
+}
+
+// Collects per-item results and posts them as one progress message every PROGRESS_MS
+function progressBatcher(id, keys) {
+  let pending = Object.fromEntries(keys.map((k) => [k, []]));
+  let last = performance.now();
+  const flush = () => {
+    self.postMessage({ type: "progress", id, ...pending });
+    pending = Object.fromEntries(keys.map((k) => [k, []]));
+    last = performance.now();
+  };
+  return {
+    add(key, value) {
+      pending[key].push(value);
+      if (performance.now() - last > PROGRESS_MS) flush();
+    },
+    flush,
+  };
+}
+
+const handlers = {
+  // -> { bytes } (see buildPdfPart); cells/failures arrive as progress
+  async part({ id, sections, opts }) {
+    const progress = progressBatcher(id, ["cells", "failures"]);
+    const bytes = await buildPdfPart(sections, opts, {
+      isCancelled: () => cancelled.has(id),
+      onCell: (cell) => progress.add("cells", cell),
+      onFailure: (failure) => progress.add("failures", failure),
+    });
+    progress.flush();
+    return bytes ? { bytes, transfer: [bytes.buffer] } : { cancelled: true };
+  },
+
+  // -> { bytes } of the separate class roster PDF
+  async roster({ items, opts }) {
+    const bytes = buildRosterSheetBytes(items, opts);
+    return { bytes, transfer: [bytes.buffer] };
+  },
+
+  // -> { results } parallel to payloads: scan checks of the QRs "raster" draws (see verify.js);
+  // progress: { results: [{ index, result }] }
+  async scan({ id, payloads, px }) {
+    const progress = progressBatcher(id, ["results"]);
+    const results = [];
+    let lastYield = performance.now();
+    for (let i = 0; i < payloads.length; i++) {
+      results.push(await verifyCanvas(await drawQr(payloads[i], px), payloads[i]));
+      progress.add("results", { index: i, result: results[i] });
+      if (performance.now() - lastYield > PROGRESS_MS) {
+        await yieldNow();
+        lastYield = performance.now();
+        if (cancelled.has(id)) return { cancelled: true };
+      }
+    }
+    progress.flush();
+    return { results };
+  },
+
+  // -> { bitmaps } parallel to payloads: QRs drawn like the page's canvases
+  async raster({ payloads, px }) {
+    const bitmaps = [];
+    for (const payload of payloads) bitmaps.push((await drawQr(payload, px)).transferToImageBitmap());
+    return { bitmaps, transfer: bitmaps };
+  },
+
+  // -> { pngs } parallel to payloads: PNG files as bytes (same pixels as qrcode's toDataURL)
+  async png({ id, payloads, px }) {
+    const pngs = [];
+    for (const payload of payloads) {
+      if (cancelled.has(id)) return { cancelled: true };
+      const blob = await (await drawQr(payload, px)).convertToBlob({ type: "image/png" });
+      pngs.push(new Uint8Array(await blob.arrayBuffer()));
+    }
+    return { pngs, transfer: pngs.map((p) => p.buffer) };
+  },
+};
+
+// ECL M with a 2-module margin, like every other QR in the app
+async function drawQr(payload, px) {
+  const canvas = new OffscreenCanvas(px, px);
+  await QRCode.toCanvas(canvas, payload, { errorCorrectionLevel: "M", margin: 2, width: px });
+  return canvas;
+}
+
+self.onmessage = async ({ data: msg }) => {
+  if (msg.type === "cancel") {
+    cancelled.add(msg.id);
+    return;
+  }
+
+  try {
+    const { transfer = [], ...result } = await handlers[msg.type](msg);
+    self.postMessage({ type: "done", id: msg.id, ...result }, transfer);
+  } catch (err) {
+    self.postMessage({ type: "error", id: msg.id, message: err?.message || String(err) });
+  } finally {
+    cancelled.delete(msg.id);
+  }
+};
@@ -0,0 +1,119 @@
+/**
+ * A small pool of module workers (qr.worker.js) for the heavy QR work: PDF parts, scan checks
+ * and QR rasters, drawn with OffscreenCanvas so the page only updates the UI.
+ *
+ * Message protocol (every message carries the job's id):
+ *   page -> worker: { type: "part" | "roster" | "scan" | "raster" | "png", id, ...data }, { type: "cancel", id }
+ *   worker -> page: { type: "progress", id, ... } while working, then
+ *                   { type: "done", id, cancelled?, ... } or { type: "error", id, message }
+ * Each worker runs one job at a time; the rest wait in a queue.
+ */
+
+const CANCEL_POLL_MS = 100;
+
+export function isQrPoolSupported() {
+  return typeof Worker === "function" && typeof OffscreenCanvas === "function";
+}
+
+/**
+ * size: number of workers (default: one per spare core, at most 4). Workers start on first use.
+ * Returns { size, run(type, data, opts), terminate() }.
+ */
+export function createQrPool({ size = Math.min(4, Math.max(1, (globalThis.navigator?.hardwareConcurrency ?? 2) - 1)) } = {}) {
+  const workers = []; // { worker, job }
+  const queue = [];
+  const jobs = new Map(); // id -> job
+  let lastId = 0;
+  let pollTimer = null;
+
+  function spawn() {
+    const slot = { worker: new Worker(new URL("./qr.worker.js", import.meta.url), { type: "module" }), job: null };
+    slot.worker.onmessage = ({ data }) => receive(slot, data);
+    slot.worker.onerror = (event) => crashed(slot, event);
+    workers.push(slot);
+    return slot;
+  }
+
+  function pump() {
+    while (queue.length) {
+      const slot = workers.find((w) => !w.job) ?? (workers.length < size ? spawn() : null);
+      if (!slot) break;
+      const job = queue.shift();
+      slot.job = job;
+      job.slot = slot;
+      slot.worker.postMessage({ type: job.type, id: job.id, ...job.data }, job.transfer);
+    }
+  }
+
+  function finish(job, settle) {
+    jobs.delete(job.id);
+    if (job.slot) job.slot.job = null;
+    if (jobs.size === 0) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+    settle();
+    pump();
+  }
+
+  function receive(slot, msg) {
+    const job = jobs.get(msg.id);
+    if (!job) return;
+    if (msg.type === "progress") {
+      job.onProgress?.(msg);
+      checkCancel(job);
+    } else if (msg.type === "done") {
+      finish(job, () => job.resolve(msg));
+    } else if (msg.type === "error") {
+      finish(job, () => job.reject(new Error(msg.message)));
+    }
+  }
+
+  // A worker that fails to load or throws outside a job is replaced on the next job
+  function crashed(slot, event) {
+    event.preventDefault?.();
+    workers.splice(workers.indexOf(slot), 1);
+    slot.worker.terminate();
+    const job = slot.job;
+    if (job) finish(job, () => job.reject(new Error(`QR worker failed: ${event.message || "could not start"}`)));
+  }
+
+  function checkCancel(job) {
+    if (job.cancelSent || !job.isCancelled?.()) return;
+    job.cancelSent = true;
+    if (job.slot) {
+      job.slot.worker.postMessage({ type: "cancel", id: job.id });
+    } else {
+      queue.splice(queue.indexOf(job), 1);
+      finish(job, () => job.resolve({ type: "done", id: job.id, cancelled: true }));
+    }
+  }
+
+  /**
+   * Run a job on the next free worker. opts.onProgress(msg) gets its progress messages;
+   * opts.isCancelled() is polled, and once true the worker is asked to stop (resolves with
+   * cancelled: true). opts.transfer: transferable objects in data.
+   * Resolves with the worker's "done" message.
+   */
+  function run(type, data, { onProgress, isCancelled, transfer = [] } = {}) {
+    return new Promise((resolve, reject) => {
+      const job = { id: ++lastId, type, data, transfer, onProgress, isCancelled, resolve, reject, slot: null };
+      jobs.set(job.id, job);
+      queue.push(job);
+      pollTimer ??= setInterval(() => jobs.forEach(checkCancel), CANCEL_POLL_MS);
+      pump();
+    });
+  }
+
+  function terminate() {
+    for (const slot of workers) slot.worker.terminate();
+    workers.length = 0;
+    for (const job of jobs.values()) job.reject(new Error("QR workers stopped."));
+    jobs.clear();
+    queue.length = 0;
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+
+  return { size, run, terminate };
+}
@@ -0,0 +1,73 @@
+import QRCode from "qrcode";
+
+/**
+ * QR codes as vector shapes instead of PNG rasters: the dark modules of qrcode's matrix,
+ * merged into rectangles. Same error correction and quiet zone as the PNGs (qrcode's
+ * toDataURL), so both render the same code.
+ * Used by pdf.js (opts.qrRender "vector") and for SVG downloads. Works without a DOM.
+ */
+
+export const QR_RENDERS = {
+  vector: "Vector (sharp at any size, smaller PDFs)",
+  raster: "PNG raster (512 px)",
+};
+export const DEFAULT_QR_RENDER = "vector";
+
+const cache = new Map(); // `${qrEcl}|${margin}|${payload}` -> shape (last few only)
+const CACHE_MAX = 500;
+
+/**
+ * { size, rects: [{ x, y, w, h }] } in modules; size counts the quiet zone (margin on each side).
+ * Dark modules are merged into horizontal runs, and equal runs on consecutive rows into
+ * taller rectangles, to keep PDFs small.
+ */
+export function qrShape(payload, { qrEcl = "M", margin = 2 } = {}) {
+  const key = `${qrEcl}|${margin}|${payload}`;
+  const hit = cache.get(key);
+  if (hit) return hit;
+
+  const { size: n, data } = QRCode.create(payload, { errorCorrectionLevel: qrEcl }).modules;
+  const rects = [];
+  let open = new Map(); // "x,w" -> rect still growing downwards
+
+  for (let row = 0; row < n; row++) {
+    const next = new Map();
+    for (let col = 0; col < n; ) {
+      if (!data[row * n + col]) {
+        col++;
+        continue;
+      }
+      const start = col;
+      while (col < n && data[row * n + col]) col++;
+
+      const runKey = `${start},${col - start}`;
+      let rect = open.get(runKey);
+      if (rect) {
+        rect.h++;
+      } else {
+        rect = { x: start + margin, y: row + margin, w: col - start, h: 1 };
+        rects.push(rect);
+      }
+      next.set(runKey, rect);
+    }
+    open = next;
+  }
+
+  const shape = { size: n + 2 * margin, rects };
+  if (cache.size >= CACHE_MAX) cache.delete(cache.keys().next().value);
+  cache.set(key, shape);
+  return shape;
+}
+
+/**
+ * Standalone SVG file for a QR (black on white); px: its width/height attributes.
+ */
+export function qrToSvg(payload, { qrEcl = "M", margin = 2, px = 512 } = {}) {
+  const { size, rects } = qrShape(payload, { qrEcl, margin });
+  const d = rects.map((r) => `M${r.x} ${r.y}h${r.w}v${r.h}h-${r.w}z`).join("");
+  return (
+    `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${px}" height="${px}" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">` +
+    `<rect width="${size}" height="${size}" fill="#fff"/><path d="${d}" fill="#000"/></svg>\n`
+  );
+}
@@ -0,0 +1,335 @@
+import { buildUsername, toInt } from "./login.js";
+import { checkUsername, classCounter, DEFAULT_USERNAME_RULE } from "./usernames.js";
+import {
+  buildPayload,
+  getPayloadSchema,
+  validatePayloadFields,
+  payloadExtraFields,
+  DEFAULT_PAYLOAD_VERSION,
+} from "./payload.js";
+import {
+  extractMasterUsernames,
+  guessColumnMapping,
+  applyColumnMapping,
+  columnLetter,
+  toCsvText,
+} from "./csv.js";
+import { makeBadge } from "./badge.js";
+
+/**
+ * Validation issue recorded against a source cell:
+ * { row, column, field, value, reason, severity }
+ * - row:      1-based row number in the source file
+ * - column:   column letter, plus the header name when there is one ("C (Headset)")
+ * - severity: "error" (row is skipped) or "warning" (row is generated anyway)
+ * Workbook imports add sheet (tab name); see mergeRosters.
+ */
+function makeIssue(loc, field, value, reason, severity = "error") {
+  return {
+    row: loc.row,
+    column: loc.columns?.[field] ?? "",
+    field,
+    value: (value ?? "").toString(),
+    reason,
+    severity,
+  };
+}
+
+// Version + version-specific payload fields for a row; problems become issues.
+function payloadOptions(rowObj, loc, defaultVersion, username, groupCode, issues) {
+  let version = (rowObj.version ?? "").toString().trim() || defaultVersion;
+  try {
+    getPayloadSchema(version);
+  } catch (err) {
+    issues.push(makeIssue(loc, "version", version, err.message));
+    return null;
+  }
+
+  const extra = {};
+  for (const f of payloadExtraFields()) {
+    const v = (rowObj[f.key] ?? "").toString().trim();
+    if (v) extra[f.key] = v;
+  }
+
+  const declared = new Set(getPayloadSchema(version).fields.map((f) => f.key));
+  for (const key of Object.keys(extra)) {
+    if (!declared.has(key)) {
+      issues.push(makeIssue(loc, key, extra[key], `Not part of payload version ${version}; ignored.`, "warning"));
+    }
+  }
+
+  // username/groupcode are checked by the row rules; only extras here
+  const extraKeys = new Set(payloadExtraFields().map((f) => f.key));
+  for (const p of validatePayloadFields({ version, username, groupCode, extra })) {
+    if (extraKeys.has(p.field)) issues.push(makeIssue(loc, p.field, extra[p.field], p.reason));
+  }
+
+  return { version, extra };
+}
+
+/**
+ * Validate one normalized CSV row ({ group, period, headset, prefix?, pad?, teacher?, username?,
+ * version?, otherColumns?, ...payload extras }) and compute its username + payload. A username
+ * column replaces prefix + headset; period is then optional. otherColumns (unmapped source
+ * columns, see applyColumnMapping) is kept on the badge as is.
+ *
+ * loc ({ row, sheet?, columns: { field: "C (Headset)" } }) labels issues and the badge's origin.
+ * opts.version is the payload version for rows without their own version column;
+ * opts.rule is the username rule for built usernames (see usernames.js) and opts.counter
+ * the roster's classCounter(), for rules with {counter}.
+ * Returns { badge, issues } (badge.js record); badge is null when any issue is an error.
+ */
+export function validateRow(
+  rowObj,
+  loc = {},
+  { version: defaultVersion = DEFAULT_PAYLOAD_VERSION, rule = DEFAULT_USERNAME_RULE, counter } = {}
+) {
+  const issues = [];
+
+  const groupCode = (rowObj.group ?? "").toString().trim();
+  const periodRaw = (rowObj.period ?? "").toString().trim();
+  const period = toInt(periodRaw);
+  const headsetNumber = toInt(rowObj.headset);
+  const teacher = (rowObj.teacher ?? "").toString().trim();
+  const explicitUsername = (rowObj.username ?? "").toString().trim();
+
+  const prefix = (rowObj.prefix ?? "").toString().trim() || "a";
+
+  const padRaw = (rowObj.pad ?? "").toString().trim();
+  const padInt = toInt(padRaw);
+  let headsetPad = 3;
+  if (padRaw && !Number.isFinite(padInt)) {
+    issues.push(makeIssue(loc, "pad", padRaw, "Not a number; using 3 digits.", "warning"));
+  } else if (padRaw) {
+    headsetPad = padInt;
+    if (padInt < 2 || padInt > 5) {
+      issues.push(makeIssue(loc, "pad", padRaw, "Unusual padding (expected 2–5 digits).", "warning"));
+    }
+  }
+
+  if (!/^\d{4}$/.test(groupCode)) {
+    issues.push(makeIssue(loc, "group", rowObj.group, "Bad group code (expected 4 digits)."));
+  }
+  if ((!explicitUsername || periodRaw) && (!Number.isFinite(period) || period < 1)) {
+    issues.push(makeIssue(loc, "period", rowObj.period, "Bad period (expected positive integer)."));
+  }
+
+  if (explicitUsername) {
+    if (/\s/.test(explicitUsername)) {
+      issues.push(makeIssue(loc, "username", explicitUsername, "Username contains spaces."));
+    }
+  } else {
+    if (!Number.isFinite(headsetNumber) || headsetNumber < 1) {
+      issues.push(makeIssue(loc, "headset", rowObj.headset, "Bad headset # (expected positive integer)."));
+    }
+    if (/\s/.test(prefix)) {
+      issues.push(makeIssue(loc, "prefix", prefix, "Prefix contains spaces."));
+    }
+  }
+
+  let username = explicitUsername;
+  if (!username && Number.isFinite(headsetNumber)) {
+    try {
+      username = buildUsername({
+        prefix,
+        headsetNumber,
+        headsetPad,
+        period: Number.isFinite(period) ? period : "",
+        teacher,
+        groupCode,
+        counter: counter?.({ teacher, period }),
+      }, rule);
+    } catch (err) {
+      issues.push(makeIssue(loc, "username", "", err.message));
+    }
+    // Only worth saying when the fields it came from are fine
+    const reason = username && !issues.some((i) => i.severity === "error") && checkUsername(username);
+    if (reason) issues.push(makeIssue(loc, "username", username, `Built username: ${reason}`));
+  }
+  const payloadOpts = payloadOptions(rowObj, loc, defaultVersion, username, groupCode, issues);
+
+  if (issues.some((i) => i.severity === "error")) return { badge: null, issues };
+
+  const { version, extra } = payloadOpts;
+  const payload = buildPayload({ groupCode, username, version, extra });
+
+  const badge = makeBadge({
+    groupCode,
+    username,
+    payload,
+    version,
+    extra,
+    teacher,
+    period: Number.isFinite(period) ? period : "",
+    headsetNumber: Number.isFinite(headsetNumber) ? headsetNumber : "",
+    prefix,
+    headsetPad,
+    row: loc.row,
+    sheet: loc.sheet,
+    otherColumns: rowObj.otherColumns,
+  });
+  return { badge, issues };
+}
+
+/**
+ * Validate one normalized CSV row. Throws the first error.
+ */
+export function readRowAsBadge(rowObj) {
+  const { badge, issues } = validateRow(rowObj);
+  if (!badge) throw new Error(issues.find((i) => i.severity === "error").reason);
+  return badge;
+}
+
+function validateMasterItem({ groupCode, username }, loc) {
+  const issues = [];
+  if (!/^\d{4}$/.test(groupCode)) {
+    issues.push(makeIssue(loc, "group", groupCode, "Bad group code (expected 4 digits)."));
+  }
+  if (/\s/.test(username)) {
+    issues.push(makeIssue(loc, "username", username, "Username contains spaces."));
+  }
+  return issues;
+}
+
+function firstError(issues) {
+  return issues.find((i) => i.severity === "error")?.reason;
+}
+
+/**
+ * validateRow as a roster entry: { badge, issues } on success,
+ * { error, issues } when the row is invalid (error: first reason).
+ */
+export function entryFromRow(rowObj, loc = {}, opts = {}) {
+  const { badge, issues } = validateRow(rowObj, loc, opts);
+  if (!badge) return { error: firstError(issues), issues };
+  return { badge, issues };
+}
+
+/**
+ * Turn raw CSV rows (array-of-arrays, as parsed by parseCsvFile) into roster entries.
+ * Detects the "Usernames Master" matrix first; otherwise rows are read through a
+ * column mapping (opts.mapping, or guessColumnMapping() when omitted).
+ * opts.version is the payload version (rows may override it with a version column);
+ * opts.rule is the username rule for rows without a username (see usernames.js).
+ *
+ * Returns { format: "master"|"header"|"positional", entries, issues }, where each entry is
+ * - { index, sourceRow, fields, badge, issues }  on success (badge: badge.js record, printed as is)
+ * - { index, sourceRow, fields, error, issues }  when the row is invalid (error: first reason)
+ * fields is the normalized row as read ({ group, period, headset, ... }, see validateRow),
+ * columns labels its source columns for issues ({ group: "C (Group)" }), otherColumns holds
+ * the unmapped columns' values ({ Room: "204" })
+ * and issues is every entry's issues flattened, in source order.
+ *
+ * DOM-free so it can be shared by the page (main.js) and the CLI.
+ */
+export function rosterFromRows(rawRows, opts = {}) {
+  const version = opts.version ?? DEFAULT_PAYLOAD_VERSION;
+
+  // 1) Master matrix
+  const masterItems = extractMasterUsernames(rawRows);
+
+  if (masterItems.length > 0) {
+    const entries = masterItems.map((m, index) => {
+      const { groupCode, username, teacher, period } = m;
+      const sourceRow = m.sourceRow + 1;
+      const fields = { group: groupCode, username, teacher: teacher || "", period: period || "" };
+      const loc = {
+        row: sourceRow,
+        columns: { group: columnLetter(m.sourceCol), username: columnLetter(m.sourceCol) },
+      };
+
+      const issues = validateMasterItem(m, loc);
+      const error = firstError(issues);
+      if (error) return { index, sourceRow, fields, columns: loc.columns, error, issues };
+
+      const payload = buildPayload({ groupCode, username, version });
+      const badge = makeBadge({ groupCode, username, payload, version, teacher, period, row: sourceRow });
+
+      return { index, sourceRow, fields, columns: loc.columns, badge, issues };
+    });
+
+    return { format: "master", entries, issues: entries.flatMap((e) => e.issues) };
+  }
+
+  // 2) Row-per-user CSV through a column mapping
+  const mapping = opts.mapping ?? guessColumnMapping(rawRows);
+  const header = mapping.hasHeader && Array.isArray(rawRows?.[0]) ? rawRows[0] : null;
+
+  const columns = {};
+  mapping.columns.forEach((field, index) => {
+    if (!field || columns[field]) return;
+    const name = (header?.[index] ?? "").toString().trim();
+    columns[field] = name ? `${columnLetter(index)} (${name})` : columnLetter(index);
+  });
+
+  const rows = applyColumnMapping(rawRows, mapping).filter(
+    ({ row: r }) => r.group || r.period || r.headset || r.username
+  );
+
+  const counter = classCounter();
+  const entries = rows.map(({ row, otherColumns, sourceRow }, index) => ({
+    index,
+    sourceRow,
+    fields: row,
+    columns,
+    otherColumns,
+    ...entryFromRow({ ...row, otherColumns }, { row: sourceRow, columns }, { version, rule: opts.rule, counter }),
+  }));
+
+  return {
+    format: mapping.hasHeader ? "header" : "positional",
+    entries,
+    issues: entries.flatMap((e) => e.issues),
+  };
+}
+
+const ISSUE_COLUMNS = [
+  { key: "sheet", label: "Sheet" },
+  { key: "row", label: "Row" },
+  { key: "column", label: "Column" },
+  { key: "field", label: "Field" },
+  { key: "value", label: "Value" },
+  { key: "severity", label: "Severity" },
+  { key: "reason", label: "Reason" },
+];
+
+/**
+ * errors.csv contents for a list of validation issues.
+ */
+export function issuesToCsv(issues) {
+  // Sheet column only for workbook imports
+  const columns = issues.some((i) => i.sheet) ? ISSUE_COLUMNS : ISSUE_COLUMNS.filter((c) => c.key !== "sheet");
+  return toCsvText(issues, columns);
+}
+
+/**
+ * Merge per-tab rosters (workbook import) into one batch.
+ * parts: [{ sheet, roster }] where roster is a rosterFromRows() result.
+ *
+ * Entries, their badges and issues are tagged with their sheet name and re-indexed in order.
+ * Returns { formats: ["master", ...], entries, issues }.
+ */
+export function mergeRosters(parts) {
+  const entries = [];
+  const issues = [];
+  const formats = [];
+
+  for (const { sheet, roster } of parts) {
+    formats.push(roster.format);
+    for (const e of roster.entries) {
+      const badge = e.badge && { ...e.badge, sheet: sheet ?? "" };
+      entries.push({ ...e, index: entries.length, sheet, ...(badge ? { badge } : {}) });
+    }
+    for (const i of roster.issues) issues.push({ ...i, sheet });
+  }
+
+  return { formats, entries, issues };
+}
+
+/**
+ * "Row 5", or "Lincoln · row 5" for workbook tabs.
+ */
+export function rowLabel({ sheet, sourceRow, row }) {
+  const n = sourceRow ?? row;
+  return sheet ? `${sheet} · row ${n}` : `Row ${n}`;
+}
@@ -0,0 +1,200 @@
+import { parseUsername, parseHeadsetList } from "./login.js";
+import { payloadExtraFields } from "./payload.js";
+import { entryFromRow } from "./roster.js";
+import { toCsvText } from "./csv.js";
+import { otherColumnNames } from "./badge.js";
+
+/**
+ * The editable working set behind the results grid.
+ *
+ * Row: { id, sheet?, sourceRow?, columns?, group, period, teacher, headset, prefix, pad, username, version, extra,
+ *        otherColumns }
+ * Values are kept as typed (strings) under the normalized CSV field names, so a row
+ * goes through the same validateRow rules as an imported one. sheet, sourceRow and
+ * columns say where an imported row came from (for issue labels); otherColumns keeps the
+ * file's unmapped columns ({ Room: "204" }) for the CSV reports.
+ * username is set for rows imported with one (e.g. "mr.smith" from a username column or a
+ * master sheet) and kept until prefix or headset is edited; otherwise the username rule
+ * (see usernames.js) builds it.
+ */
+
+// Inline-editable columns, in grid order
+export const GRID_FIELDS = [
+  { key: "group", label: "Group" },
+  { key: "period", label: "Period" },
+  { key: "teacher", label: "Teacher" },
+  { key: "prefix", label: "Prefix" },
+  { key: "headset", label: "Headset #" },
+];
+
+let lastId = 0;
+function makeRowId() {
+  lastId += 1;
+  return `r${Date.now().toString(36)}-${lastId.toString(36)}`;
+}
+
+const str = (v) => (v ?? "").toString().trim();
+
+/**
+ * Working row for a roster entry (valid or not; see rosterFromRows).
+ * Imported usernames are kept as they are; ones in the {prefix}.{number} form also fill in
+ * prefix + headset, so editing those rebuilds the username.
+ */
+export function rowFromEntry(entry) {
+  const f = entry.fields ?? {};
+  const row = {
+    id: makeRowId(),
+    sheet: entry.sheet,
+    sourceRow: entry.sourceRow,
+    columns: entry.columns,
+    group: str(f.group),
+    period: str(f.period),
+    teacher: str(f.teacher),
+    headset: str(f.headset),
+    prefix: str(f.prefix),
+    pad: str(f.pad),
+    username: "",
+    version: str(f.version),
+    extra: {},
+    otherColumns: { ...entry.otherColumns },
+  };
+
+  for (const { key } of payloadExtraFields()) if (str(f[key])) row.extra[key] = str(f[key]);
+
+  const username = str(f.username);
+  const parsed = username && !row.headset ? parseUsername(username) : null;
+  if (parsed) {
+    row.prefix = parsed.prefix;
+    row.headset = String(parsed.headsetNumber);
+    row.pad = String(parsed.headsetPad);
+  }
+  row.username = username;
+
+  return row;
+}
+
+/**
+ * A new row below `after`: same group/period/teacher/prefix, next headset #.
+ */
+export function blankRowAfter(after) {
+  const next = Number(after?.headset);
+  return {
+    id: makeRowId(),
+    sheet: after?.sheet,
+    sourceRow: undefined,
+    group: after?.group ?? "",
+    period: after?.period ?? "",
+    teacher: after?.teacher ?? "",
+    headset: Number.isInteger(next) && next > 0 ? String(next + 1) : "",
+    prefix: after?.prefix ?? "",
+    pad: after?.pad ?? "",
+    username: "",
+    version: after?.version ?? "",
+    extra: { ...after?.extra },
+    otherColumns: {},
+  };
+}
+
+/**
+ * One row per headset number, all sharing base's group/period/teacher/prefix/pad
+ * (manual form values as typed, see readManualState in main.js).
+ */
+export function rowsFromRange(base, headsets) {
+  return headsets.map((n) => ({
+    id: makeRowId(),
+    sheet: undefined,
+    sourceRow: undefined,
+    group: str(base.group),
+    period: str(base.period),
+    teacher: str(base.teacher),
+    headset: String(n),
+    prefix: str(base.prefix),
+    pad: str(base.pad),
+    username: "",
+    version: str(base.payloadVersion),
+    extra: { ...base.extra },
+    otherColumns: {},
+  }));
+}
+
+/**
+ * Apply an inline edit. Changing prefix or headset drops a kept username so it is rebuilt.
+ */
+export function editRow(row, field, value) {
+  const next = { ...row, [field]: str(value) };
+  if (field === "prefix" || field === "headset") next.username = "";
+  return next;
+}
+
+/**
+ * Predicate for the results grid filters. Blank criteria match everything.
+ * criteria: { teacher (case-insensitive, partial), period, group, prefix, headsets, search }
+ * where headsets is a list like "1-30, 35" (see parseHeadsetList; throws if malformed) and
+ * search matches the username, group code or teacher (case-insensitive, partial).
+ * The predicate takes (row, username): pass the built username for rows that don't keep one.
+ */
+export function rowFilter({ teacher = "", period = "", group = "", prefix = "", headsets = "", search = "" } = {}) {
+  const t = str(teacher).toLowerCase();
+  const p = str(period);
+  const g = str(group);
+  const x = str(prefix).toLowerCase();
+  const numbers = str(headsets) ? new Set(parseHeadsetList(headsets)) : null;
+  const q = str(search).toLowerCase();
+
+  return (row, username = row.username) =>
+    (!t || str(row.teacher).toLowerCase().includes(t)) &&
+    (!p || str(row.period) === p) &&
+    (!g || str(row.group) === g) &&
+    (!x || str(row.prefix).toLowerCase() === x) &&
+    (!numbers || numbers.has(Number(row.headset))) &&
+    (!q || [username, row.group, row.teacher].some((v) => str(v).toLowerCase().includes(q)));
+}
+
+/**
+ * Validate a row and build its badge record (entryFromRow).
+ * opts.version is the payload version for rows without their own;
+ * opts.label names the row in issues and on the badge (default: its source row);
+ * opts.rule and opts.counter build usernames (see validateRow).
+ */
+export function evaluateRow(row, { version, label = row.sourceRow, rule, counter } = {}) {
+  const rowObj = {
+    group: row.group,
+    period: row.period,
+    teacher: row.teacher,
+    headset: row.headset,
+    prefix: row.prefix,
+    pad: row.pad,
+    username: row.username,
+    version: row.version,
+    otherColumns: row.otherColumns,
+    ...row.extra,
+  };
+  return entryFromRow(rowObj, { row: label, sheet: row.sheet, columns: row.columns }, { version, rule, counter });
+}
+
+/**
+ * The rows as a CSV with a header, ready to re-import.
+ * Only kept usernames are written; the rest are rebuilt from prefix + headset.
+ * Other (unmapped) columns are written after the fields under their own names.
+ */
+export function rowsToCsv(rows) {
+  const extraKeys = payloadExtraFields()
+    .map((f) => f.key)
+    .filter((key) => rows.some((r) => r.extra?.[key]));
+
+  const keys = ["group", "period", "teacher", "headset", "prefix", "pad", "username", "version"];
+  const fieldKeys = [...keys, ...extraKeys];
+  const otherNames = otherColumnNames(rows).filter((name) => !fieldKeys.includes(name));
+  const columns = [
+    ...fieldKeys.map((key) => ({ key, label: key })),
+    ...otherNames.map((name, i) => ({ key: `other${i}`, label: name })),
+  ];
+  const objects = rows.map((r) => {
+    const o = {};
+    for (const key of keys) o[key] = r[key] ?? "";
+    for (const key of extraKeys) o[key] = r.extra?.[key] ?? "";
+    otherNames.forEach((name, i) => (o[`other${i}`] = r.otherColumns?.[name] ?? ""));
+    return o;
+  });
+  return toCsvText(objects, columns);
+}
@@ -0,0 +1,289 @@
+import { parseUsername } from "./login.js";
+
+/**
+ * How printed QRs are ordered and split into sections. Each section starts on a new page
+ * (after divider pages listing its usernames) and names itself in the page titles.
+ */
+export const PRINT_GROUPINGS = {
+  none: "Roster order",
+  teacher: "Teacher → period → headset",
+  group: "Group code → headset",
+};
+export const DEFAULT_PRINT_GROUPING = "none";
+
+// Sort/section key per grouping (compared in order, then by headset)
+const SECTION_KEYS = {
+  teacher: (it) => [text(it.teacher), text(it.period)],
+  group: (it) => [text(it.groupCode)],
+};
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" });
+
+function text(v) {
+  return String(v ?? "").trim();
+}
+
+export function isGrouped(groupBy) {
+  return Object.hasOwn(SECTION_KEYS, groupBy ?? "");
+}
+
+function headsetOf(item) {
+  if (Number.isFinite(item.headsetNumber)) return item.headsetNumber;
+  return parseUsername(item.username)?.headsetNumber ?? Infinity;
+}
+
+function compareItems(keyOf, a, b) {
+  const ka = keyOf(a);
+  const kb = keyOf(b);
+  for (let i = 0; i < ka.length; i++) {
+    const c = collator.compare(ka[i], kb[i]);
+    if (c) return c;
+  }
+  // NaN (two usernames without a headset #) falls through to the username
+  return headsetOf(a) - headsetOf(b) || collator.compare(text(a.username), text(b.username));
+}
+
+function distinct(items, field) {
+  return [...new Set(items.map((it) => text(it[field])).filter(Boolean))];
+}
+
+function sectionTitle(groupBy, first) {
+  if (groupBy === "group") return `Group ${text(first.groupCode) || "?"}`;
+  const period = text(first.period);
+  return `${text(first.teacher) || "No teacher"}${period ? ` – Period ${period}` : ""}`;
+}
+
+/**
+ * Sort print items (badge records, see badge.js) for groupBy
+ * and split them into sections:
+ *   [{ title, teachers, periods, groupCodes, items }]
+ * teachers/periods/groupCodes are the distinct values in the section (for its divider page).
+ * groupBy "none" (or unknown) gives one untitled section in the original order.
+ */
+export function groupPrintItems(items, groupBy = DEFAULT_PRINT_GROUPING) {
+  const describe = (title, list) => ({
+    title,
+    teachers: distinct(list, "teacher"),
+    periods: distinct(list, "period"),
+    groupCodes: distinct(list, "groupCode"),
+    items: list,
+  });
+
+  if (!isGrouped(groupBy)) return [describe("", items)];
+
+  const keyOf = SECTION_KEYS[groupBy];
+  const sorted = [...items].sort((a, b) => compareItems(keyOf, a, b));
+
+  const sections = [];
+  let lastKey = null;
+  for (const it of sorted) {
+    const key = keyOf(it).map((k) => k.toLowerCase()).join("\u0000");
+    if (key !== lastKey) sections.push([]);
+    sections.at(-1).push(it);
+    lastKey = key;
+  }
+
+  return sections.map((list) => describe(sectionTitle(groupBy, list[0]), list));
+}
+
+// Cells left empty on the first page for a "start at label #" (1 = top-left)
+export function skippedCells(startCell, perPage) {
+  const start = Math.trunc(Number(startCell)) || 1;
+  return Math.min(Math.max(start - 1, 0), perPage - 1);
+}
+
+// Divider pages: the section's facts, then its usernames in columns, continuing on more pages
+export const DIVIDER_COL_W = 1.6;
+export const DIVIDER_LINE_H = 0.2;
+
+export function dividerMargin(layout) {
+  return Math.max(0.5, layout.marginX);
+}
+
+// Top of the username list (page 1 also lists teacher, period, group code and count)
+export function dividerListTop(layout, page) {
+  return dividerMargin(layout) + (page === 1 ? 2.5 : 1.3);
+}
+
+function dividerColumns(layout, page) {
+  const margin = dividerMargin(layout);
+  const cols = Math.max(1, Math.floor((layout.pageW - 2 * margin) / DIVIDER_COL_W));
+  const perCol = Math.max(1, Math.floor((layout.pageH - margin - dividerListTop(layout, page)) / DIVIDER_LINE_H) + 1);
+  return { cols, perCol };
+}
+
+/**
+ * Divider pages for a section on a resolved layout (layout.js), as many as its usernames need:
+ *   { kind: "divider", section, names, perCol, page, pages }   page: 1-based within the section
+ */
+export function planDividerPages(section, layout) {
+  const names = section.items.map((it) => String(it.username ?? ""));
+  const chunks = [];
+  for (let i = 0, page = 1; page === 1 || i < names.length; page++) {
+    const { cols, perCol } = dividerColumns(layout, page);
+    chunks.push({ names: names.slice(i, i + cols * perCol), perCol });
+    i += cols * perCol;
+  }
+  return chunks.map((chunk, p) => ({ kind: "divider", section, ...chunk, page: p + 1, pages: chunks.length }));
+}
+
+/**
+ * Number of divider pages planDividerPages gives a section of count items.
+ */
+export function dividerPageCount(count, layout) {
+  let pages = 1;
+  const fits = (page) => {
+    const { cols, perCol } = dividerColumns(layout, page);
+    return cols * perCol;
+  };
+  for (let room = fits(1); room < count; room += fits(2)) pages += 1;
+  return pages;
+}
+
+/**
+ * Split sections into PDF parts of at most maxPages pages each. A section too large for one
+ * part continues in the next (its later pieces have continued: true).
+ * skip: cells left blank on the very first page; dividerPages(n): divider pages before a piece
+ * of n items (omit for no dividers, see dividerPageCount).
+ * Returns [[section piece, ...], ...].
+ */
+export function planPdfParts(sections, { perPage, maxPages, skip = 0, dividerPages = () => 0 }) {
+  const parts = [];
+  let part = [];
+  let pages = 0;
+  let lead = skip;
+
+  for (const section of sections) {
+    let rest = section.items;
+    let continued = false;
+
+    while (rest.length > 0) {
+      if (part.length > 0 && maxPages - pages - dividerPages(1) < 1) {
+        parts.push(part);
+        part = [];
+        pages = 0;
+      }
+
+      // Divider pages for the most this part could take, so the piece never runs over
+      const extra = dividerPages(Math.min(rest.length, maxPages * perPage));
+      const room = Math.max(1, maxPages - pages - extra) * perPage - lead;
+      const take = Math.min(rest.length, room);
+      part.push({ ...section, items: rest.slice(0, take), continued });
+      pages += dividerPages(take) + Math.ceil((take + lead) / perPage);
+
+      lead = 0;
+      rest = rest.slice(take);
+      continued = true;
+      if (rest.length > 0) {
+        parts.push(part);
+        part = [];
+        pages = 0;
+      }
+    }
+  }
+
+  if (part.length > 0) parts.push(part);
+  return parts;
+}
+
+/**
+ * The pages of one PDF in print order, shared by pdf.js and the on-screen print preview:
+ *   { kind: "divider", ... }   see planDividerPages
+ *   { kind: "cells", section, heading, cells: [{ slot, item }] }   slot: cell index on the page
+ * Each section starts on a new page (after its divider pages with dividers: true, laid out
+ * for layout). skip: cells left blank at the start of the first page of the first section.
+ * heading: the page title ("{title} – {section} (Page p of n)").
+ */
+export function planPrintPages(sections, { perPage, skip = 0, dividers = false, layout, title = "" }) {
+  const pages = [];
+
+  sections.forEach((section, s) => {
+    if (dividers) pages.push(...planDividerPages(section, layout));
+
+    const lead = s === 0 ? skip : 0;
+    const chunks = [];
+    for (let i = 0; i < section.items.length; ) {
+      const offset = chunks.length === 0 ? lead : 0;
+      const take = perPage - offset;
+      chunks.push(section.items.slice(i, i + take).map((item, k) => ({ slot: offset + k, item })));
+      i += take;
+    }
+    if (chunks.length === 0) chunks.push([]);
+
+    const name = section.title ? ` – ${section.title}${section.continued ? " (continued)" : ""}` : "";
+    chunks.forEach((cells, p) => {
+      pages.push({ kind: "cells", section, heading: `${title}${name} (Page ${p + 1} of ${chunks.length})`, cells });
+    });
+  });
+
+  return pages;
+}
+
+// Class roster tables: one per teacher + period, with a blank column for the student's name
+export const ROSTER_COLUMNS = [
+  { label: "Headset #", w: 0.9 },
+  { label: "Username", w: 1.7 },
+  { label: "Group Code", w: 1.1 },
+  { label: "Period", w: 0.8 },
+  { label: "Student Name", w: 0 }, // rest of the row
+];
+export const ROSTER_ROW_H = 0.32; // tall enough to write in
+export const ROSTER_MARGIN = 0.5;
+export const ROSTER_TABLE_TOP = ROSTER_MARGIN + 0.95;
+
+export function rosterCells(it) {
+  const headset = Number.isFinite(it.headsetNumber) ? it.headsetNumber : parseUsername(it.username)?.headsetNumber;
+  return [headset ?? "", it.username ?? "", it.groupCode ?? "", it.period ?? "", ""].map(String);
+}
+
+/**
+ * Roster table pages for items on a page pageH inches tall, one class after another
+ * (sorted by headset), long classes continuing on more pages:
+ *   { kind: "roster", section, rows, page, pages }   page: 1-based within its class
+ */
+export function planRosterPages(items, pageH) {
+  const perPage = Math.max(1, Math.floor((pageH - ROSTER_MARGIN - 0.3 - ROSTER_TABLE_TOP) / ROSTER_ROW_H) - 1);
+  return groupPrintItems(items, "teacher").flatMap((section) => {
+    const chunks = [];
+    for (let i = 0; i < section.items.length; i += perPage) chunks.push(section.items.slice(i, i + perPage));
+    return chunks.map((rows, p) => ({ kind: "roster", section, rows, page: p + 1, pages: chunks.length }));
+  });
+}
+
+/**
+ * Every PDF of an export and its pages, as pdf.js buildQrPdfBatchedWithProgress writes them:
+ *   [{ kind: "qr" | "roster", title, sections, items, pages }]
+ * "qr" parts are planPdfParts pieces (titled "… (Part p of n)" when there are several), ending
+ * with their roster tables when rosterSheets is "append"; "separate" adds one "roster" part for
+ * all items. layout: resolved (layout.js); opts: the export's options (see pdf.js DEFAULTS).
+ */
+export function planExport(items, layout, opts) {
+  const { title, maxPagesPerPdf, startCell, groupBy, rosterSheets } = opts;
+  const dividers = !!opts.dividers && isGrouped(groupBy);
+  const skip = skippedCells(startCell, layout.perPage);
+  const parts = planPdfParts(groupPrintItems(items, groupBy), {
+    perPage: layout.perPage,
+    maxPages: maxPagesPerPdf,
+    skip,
+    ...(dividers ? { dividerPages: (n) => dividerPageCount(n, layout) } : {}),
+  });
+
+  const plan = parts.map((sections, part) => {
+    const partTitle = parts.length > 1 ? `${title} (Part ${part + 1} of ${parts.length})` : title;
+    const partItems = sections.flatMap((section) => section.items);
+    const pages = planPrintPages(sections, {
+      perPage: layout.perPage,
+      skip: part === 0 ? skip : 0,
+      dividers,
+      layout,
+      title: partTitle,
+    });
+    if (rosterSheets === "append") pages.push(...planRosterPages(partItems, layout.pageH));
+    return { kind: "qr", title: partTitle, sections, items: partItems, pages };
+  });
+
+  if (rosterSheets === "separate") {
+    plan.push({ kind: "roster", title: `${title} - Class Rosters`, sections: [], items, pages: planRosterPages(items, layout.pageH) });
+  }
+  return plan;
+}
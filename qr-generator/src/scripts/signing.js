@@ -0,0 +1,172 @@
+/**
+ * Optional tamper-evident payloads (WebCrypto; works in the browser and Node 20+).
+ *
+ * A signed payload is the normal payload JSON with three fields appended:
+ *   alg  "Ed25519" or "HS256" (HMAC-SHA-256)
+ *   kid  key id: first 8 hex chars of SHA-256 over the public key (Ed25519) or secret (HMAC)
+ *   sig  base64url signature
+ *
+ * The signature covers the canonical JSON of everything before sig, i.e.
+ * JSON.stringify of the payload object with alg + kid appended, keys in emitted order.
+ * A verifier parses the JSON, removes sig, re-stringifies and checks the signature.
+ *
+ * Keys are generated or imported locally and only ever leave the machine when the
+ * user explicitly exports them to a file.
+ */
+
+export const SIGNING_ALGORITHMS = {
+  Ed25519: "Ed25519 (public key can be shared with the headset app)",
+  HS256: "HMAC-SHA-256 (shared secret)",
+};
+
+const subtle = () => {
+  const s = globalThis.crypto?.subtle;
+  if (!s) throw new Error("WebCrypto is not available (a secure https:// page is required).");
+  return s;
+};
+
+function toBase64Url(bytes) {
+  let bin = "";
+  for (const b of new Uint8Array(bytes)) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(str) {
+  const b64 = str.replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+async function keyId(rawBytes) {
+  const digest = await subtle().digest("SHA-256", rawBytes);
+  return [...new Uint8Array(digest).slice(0, 4)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function algParams(alg) {
+  if (alg === "Ed25519") return { name: "Ed25519" };
+  if (alg === "HS256") return { name: "HMAC", hash: "SHA-256" };
+  throw new Error(`Unknown signing algorithm "${alg}".`);
+}
+
+/**
+ * Build a signer from CryptoKeys.
+ * Returns { alg, kid, canSign, signKey, verifyKey, exportPrivateJwk(), exportPublicJwk() }.
+ */
+async function makeSigner(alg, signKey, verifyKey) {
+  const raw =
+    alg === "Ed25519"
+      ? await subtle().exportKey("raw", verifyKey)
+      : await subtle().exportKey("raw", signKey ?? verifyKey);
+
+  return {
+    alg,
+    kid: await keyId(raw),
+    canSign: !!signKey,
+    signKey,
+    verifyKey,
+    async exportPrivateJwk() {
+      if (!signKey) throw new Error("This key can only verify.");
+      return { ...(await subtle().exportKey("jwk", signKey)), alg };
+    },
+    async exportPublicJwk() {
+      if (alg !== "Ed25519") throw new Error("HMAC keys have no public part; share the secret instead.");
+      return { ...(await subtle().exportKey("jwk", verifyKey)), alg };
+    },
+  };
+}
+
+/**
+ * Generate a new key locally. Ed25519 needs a recent browser; HMAC works everywhere.
+ */
+export async function generateSigner(alg = "Ed25519") {
+  const params = algParams(alg);
+
+  if (alg === "Ed25519") {
+    let pair;
+    try {
+      pair = await subtle().generateKey(params, true, ["sign", "verify"]);
+    } catch {
+      throw new Error("This browser does not support Ed25519 keys. Use HMAC-SHA-256 instead.");
+    }
+    return makeSigner(alg, pair.privateKey, pair.publicKey);
+  }
+
+  const key = await subtle().generateKey({ ...params, length: 256 }, true, ["sign", "verify"]);
+  return makeSigner(alg, key, key);
+}
+
+/**
+ * Import a key exported by exportPrivateJwk()/exportPublicJwk().
+ * An Ed25519 public key (no "d") gives a verify-only signer.
+ */
+export async function importSigner(jwk) {
+  if (!jwk || typeof jwk !== "object") throw new Error("Key file is not a JSON Web Key.");
+
+  if (jwk.kty === "OKP" && jwk.crv === "Ed25519") {
+    const params = algParams("Ed25519");
+    const { d, key_ops: _ops, ext: _ext, ...pub } = jwk;
+    const verifyKey = await subtle().importKey("jwk", { ...pub, key_ops: ["verify"] }, params, true, ["verify"]);
+    const signKey = d
+      ? await subtle().importKey("jwk", { ...pub, d, key_ops: ["sign"] }, params, true, ["sign"])
+      : null;
+    return makeSigner("Ed25519", signKey, verifyKey);
+  }
+
+  if (jwk.kty === "oct") {
+    const { key_ops: _ops, ext: _ext, ...rest } = jwk;
+    const key = await subtle().importKey("jwk", { ...rest, alg: "HS256" }, algParams("HS256"), true, ["sign", "verify"]);
+    return makeSigner("HS256", key, key);
+  }
+
+  throw new Error("Unsupported key type (expected an Ed25519 or HMAC key).");
+}
+
+/**
+ * Sign a payload JSON string (from buildPayload). Returns the signed JSON string.
+ */
+export async function signPayload(payloadJson, signer) {
+  if (!signer?.canSign) throw new Error("No signing key loaded.");
+
+  const obj = JSON.parse(payloadJson);
+  delete obj.alg;
+  delete obj.kid;
+  delete obj.sig;
+
+  const canonical = JSON.stringify({ ...obj, alg: signer.alg, kid: signer.kid });
+  const params = algParams(signer.alg);
+  const sig = await subtle().sign(params, signer.signKey, new TextEncoder().encode(canonical));
+
+  return JSON.stringify({ ...JSON.parse(canonical), sig: toBase64Url(sig) });
+}
+
+/**
+ * Verify a signed payload string against a signer (or verify-only key).
+ * Returns { valid, reason, payload } where payload is the parsed object without sig.
+ */
+export async function verifySignedPayload(text, signer) {
+  let obj;
+  try {
+    obj = JSON.parse(text);
+  } catch {
+    return { valid: false, reason: "Not valid JSON.", payload: null };
+  }
+
+  const { sig, ...rest } = obj ?? {};
+  if (!sig) return { valid: false, reason: "Payload is not signed.", payload: rest };
+  if (rest.alg !== signer.alg) return { valid: false, reason: `Signed with ${rest.alg}, key is ${signer.alg}.`, payload: rest };
+  if (rest.kid !== signer.kid) return { valid: false, reason: `Signed by key ${rest.kid}, loaded key is ${signer.kid}.`, payload: rest };
+
+  let ok = false;
+  try {
+    ok = await subtle().verify(
+      algParams(signer.alg),
+      signer.verifyKey,
+      fromBase64Url(String(sig)),
+      new TextEncoder().encode(JSON.stringify(rest))
+    );
+  } catch {
+    ok = false;
+  }
+
+  return { valid: ok, reason: ok ? "Signature valid." : "Signature does not match (forged or altered).", payload: rest };
+}
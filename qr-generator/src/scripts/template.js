@@ -0,0 +1,335 @@
+/**
+ * Badge templates: what a "card" cell shows and where. The PDF (pdf.js drawCardCell) and the
+ * on-screen previews (ui/preview.js) both draw from layoutBadge() (layoutLabel() for label
+ * stock), so they always match.
+ *
+ * Template:
+ * {
+ *   name,
+ *   align: "left" | "center" | "right",
+ *   lines: [{ field, label, text, size, bold, underline, visible }]   top to bottom
+ *   logo: { dataUrl (PNG), aspect (width / height), height (in) } | null   above the lines
+ *   qr: { position: "top" | "bottom" | "left" | "right", size (0.4–1 of the space left) }
+ * }
+ * field is one of TEMPLATE_FIELDS; "title" and "text" print line.text, the others print
+ * line.label (bold) + the badge's value. Sizes are points at layout scale 1.
+ *
+ * District templates are kept in localStorage (like mappings.js); a project stores the
+ * template it prints with in its settings.
+ */
+
+export const TEMPLATE_FIELDS = {
+  title: "Title",
+  username: "Username",
+  groupCode: "Group Code",
+  teacher: "Teacher",
+  period: "Period",
+  meta: "Teacher • Period",
+  text: "Instructions",
+};
+
+export const QR_POSITIONS = {
+  bottom: "Below the text",
+  top: "Above the text",
+  left: "Left of the text",
+  right: "Right of the text",
+};
+
+export const TEXT_ALIGNMENTS = { center: "Center", left: "Left", right: "Right" };
+
+export const DEFAULT_TEMPLATE = Object.freeze({
+  name: "Starborn Academy",
+  align: "center",
+  lines: [
+    { field: "title", label: "", text: "Starborn Academy", size: 9, bold: false, underline: false, visible: true },
+    { field: "username", label: "Username: ", text: "", size: 16, bold: false, underline: true, visible: true },
+    { field: "groupCode", label: "Group Code: ", text: "", size: 16, bold: false, underline: true, visible: true },
+    { field: "meta", label: "", text: "", size: 10, bold: false, underline: false, visible: true },
+    {
+      field: "text",
+      label: "",
+      text: "Put on the headset and look at this code.",
+      size: 9,
+      bold: false,
+      underline: false,
+      visible: false,
+    },
+  ],
+  logo: null,
+  qr: { position: "bottom", size: 1 },
+});
+
+// Card cell geometry shared by the PDF and the preview (inches)
+export const CARD_PAD = 0.08; // frame -> content box
+export const CARD_DASH_INSET = 0.07; // dashed cut guide inside the frame
+export const CARD_CROP_LEN = 0.1; // crop marks at the frame's corners
+
+const MIN_SIZE = 5;
+const MAX_SIZE = 40;
+const LINE_HEIGHT = 1.25; // x font size
+const TOP_PAD = 0.06; // in, at scale 1
+const GAP = 0.03; // in, between text and QR
+
+const clamp = (n, lo, hi) => Math.min(hi, Math.max(lo, n));
+
+function num(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * A complete, valid template from anything (saved JSON, an older version, partial edits).
+ */
+export function normalizeTemplate(t) {
+  const src = t && typeof t === "object" ? t : {};
+  const lines = Array.isArray(src.lines) ? src.lines : DEFAULT_TEMPLATE.lines;
+
+  return {
+    name: String(src.name ?? DEFAULT_TEMPLATE.name).trim() || DEFAULT_TEMPLATE.name,
+    align: TEXT_ALIGNMENTS[src.align] ? src.align : DEFAULT_TEMPLATE.align,
+    lines: lines
+      .filter((l) => l && TEMPLATE_FIELDS[l.field])
+      .map((l) => ({
+        field: l.field,
+        label: String(l.label ?? ""),
+        text: String(l.text ?? ""),
+        size: clamp(num(l.size, 10), MIN_SIZE, MAX_SIZE),
+        bold: !!l.bold,
+        underline: !!l.underline,
+        visible: l.visible !== false,
+      })),
+    logo:
+      src.logo && typeof src.logo.dataUrl === "string" && src.logo.dataUrl.startsWith("data:image/")
+        ? {
+          dataUrl: src.logo.dataUrl,
+          aspect: clamp(num(src.logo.aspect, 1), 0.1, 10),
+          height: clamp(num(src.logo.height, 0.3), 0.1, 2),
+        }
+        : null,
+    qr: {
+      position: QR_POSITIONS[src.qr?.position] ? src.qr.position : DEFAULT_TEMPLATE.qr.position,
+      size: clamp(num(src.qr?.size, 1), 0.4, 1),
+    },
+  };
+}
+
+// [label, value] printed for a line; value "" leaves the line blank (its space is kept)
+function lineText(line, item) {
+  switch (line.field) {
+    case "title":
+    case "text":
+      return ["", line.text];
+    case "meta": {
+      const parts = [];
+      if (item.teacher) parts.push(`Teacher: ${item.teacher}`);
+      if (item.period) parts.push(`Period: ${item.period}`);
+      return ["", parts.join("   •   ")];
+    }
+    default: {
+      const value = String(item[line.field] ?? "");
+      return value ? [line.label, value] : ["", ""];
+    }
+  }
+}
+
+/**
+ * Where everything goes in a card cell's content box (inches).
+ *
+ * box: { x, y, w, h }; scale: layout scale (font sizes and logo grow with it)
+ * measure(text, sizePt, bold) -> width in inches (jsPDF or canvas)
+ * Returns {
+ *   qr: { x, y, size },
+ *   logo: { x, y, w, h, dataUrl } | null,
+ *   runs: [{ text, x, y (baseline), size, bold, underline, width }]
+ * }
+ */
+export function layoutBadge(template, item, box, { scale = 1, measure }) {
+  const t = normalizeTemplate(template);
+  const side = t.qr.position === "left" || t.qr.position === "right";
+
+  // QR square first for side layouts: the text gets what's left
+  const sideQr = side ? Math.min(box.h, box.w * 0.6) * t.qr.size : 0;
+  const textW = side ? box.w - sideQr - GAP * scale : box.w;
+  const textX = side && t.qr.position === "left" ? box.x + sideQr + GAP * scale : box.x;
+
+  const alignX = (width) =>
+    t.align === "left" ? textX : t.align === "right" ? textX + textW - width : textX + (textW - width) / 2;
+
+  // Measure the text block
+  const blocks = [];
+  let logoH = 0;
+  if (t.logo) {
+    logoH = t.logo.height * scale;
+    let w = logoH * t.logo.aspect;
+    if (w > textW) {
+      w = textW;
+      logoH = w / t.logo.aspect;
+    }
+    blocks.push({ logo: true, w, h: logoH });
+  }
+
+  for (const line of t.lines.filter((l) => l.visible)) {
+    const [label, value] = lineText(line, item);
+    let size = line.size * scale;
+    const widthAt = (s) => (label ? measure(label, s, true) : 0) + (value ? measure(value, s, line.bold) : 0);
+    // Shrink lines that don't fit (long usernames, big fonts on small labels)
+    while (size > MIN_SIZE && widthAt(size) > textW) size -= 0.5;
+    blocks.push({ line, label, value, size, h: (size / 72) * LINE_HEIGHT });
+  }
+
+  const textH = TOP_PAD * scale + blocks.reduce((sum, b) => sum + b.h, 0);
+
+  // QR + starting y of the text
+  let qr;
+  let y;
+  if (side) {
+    qr = {
+      x: t.qr.position === "left" ? box.x : box.x + box.w - sideQr,
+      y: box.y + (box.h - sideQr) / 2,
+      size: sideQr,
+    };
+    y = box.y + Math.max(0, (box.h - textH) / 2);
+  } else {
+    const size = Math.max(0, Math.min(box.w, box.h - textH - GAP * scale)) * t.qr.size;
+    const qrX = alignX(size);
+    if (t.qr.position === "top") {
+      qr = { x: qrX, y: box.y, size };
+      y = box.y + size + GAP * scale;
+    } else {
+      qr = { x: qrX, y: box.y + textH + GAP * scale, size };
+      y = box.y;
+    }
+  }
+
+  y += TOP_PAD * scale;
+  const runs = [];
+  let logo = null;
+  for (const b of blocks) {
+    if (b.logo) {
+      logo = { x: alignX(b.w), y, w: b.w, h: b.h, dataUrl: t.logo.dataUrl };
+      y += b.h;
+      continue;
+    }
+
+    const baseline = y + b.h * 0.8;
+    y += b.h;
+    if (!b.value) continue;
+
+    const labelW = b.label ? measure(b.label, b.size, true) : 0;
+    const valueW = measure(b.value, b.size, b.line.bold);
+    const x = alignX(labelW + valueW);
+    if (b.label) runs.push({ text: b.label, x, y: baseline, size: b.size, bold: true, underline: false, width: labelW });
+    runs.push({
+      text: b.value,
+      x: x + labelW,
+      y: baseline,
+      size: b.size,
+      bold: b.line.bold,
+      underline: b.line.underline,
+      width: valueW,
+    });
+  }
+
+  return { qr, logo, runs };
+}
+
+export const LABEL_PAD = 0.06; // "label" cells: edge -> content (no frame, labels are die-cut)
+
+/**
+ * Where everything goes in a compact "label" cell (adhesive label stock; not templated).
+ * Wide labels put the QR on the left and username / group code / teacher • period on the
+ * right; square labels put the QR on top and a single line below.
+ *
+ * cell: { x, y, w, h }; measure as for layoutBadge.
+ * Returns { qr, logo: null, runs } like layoutBadge.
+ */
+export function layoutLabel(item, cell, { pad = LABEL_PAD, measure }) {
+  const innerW = cell.w - 2 * pad;
+  const innerH = cell.h - 2 * pad;
+
+  // Largest size <= max at which text fits in maxW
+  const fit = (text, maxW, max, bold) => {
+    let size = max;
+    while (size > MIN_SIZE && measure(text, size, bold) > maxW) size -= 0.5;
+    return size;
+  };
+  const run = (text, x, y, size, bold) => ({ text, x, y, size, bold, underline: false, width: measure(text, size, bold) });
+
+  const username = String(item.username ?? "");
+
+  if (cell.w >= cell.h * 1.6) {
+    const qr = { x: cell.x + pad, y: cell.y + pad, size: innerH };
+    const textX = qr.x + qr.size + pad;
+    const textW = cell.x + cell.w - pad - textX;
+
+    const lines = [];
+    const groupLine = `Group Code: ${item.groupCode ?? ""}`;
+    const meta = [item.teacher, item.period ? `Period ${item.period}` : ""].filter(Boolean).join(" • ");
+    lines.push({ text: username, bold: true, size: fit(username, textW, 14, true) });
+    lines.push({ text: groupLine, bold: false, size: fit(groupLine, textW, 10, false) });
+    if (meta) lines.push({ text: meta, bold: false, size: fit(meta, textW, 8, false) });
+
+    // Vertically center the text block (pt -> in)
+    const lineHs = lines.map((l) => (l.size / 72) * LINE_HEIGHT);
+    let y = cell.y + (cell.h - lineHs.reduce((a, b) => a + b, 0)) / 2;
+    const runs = lines.map((l, i) => {
+      y += lineHs[i];
+      return run(l.text, textX, y - lineHs[i] * 0.25, l.size, l.bold);
+    });
+    return { qr, logo: null, runs };
+  }
+
+  const text = `${username}  ·  ${item.groupCode ?? ""}`;
+  const size = fit(text, innerW, 9, true);
+  const textH = (size / 72) * 1.3;
+  const qrSize = Math.min(innerW, innerH - textH);
+  const line = run(text, 0, cell.y + pad + qrSize + textH * 0.85, size, true);
+  line.x = cell.x + (cell.w - line.width) / 2;
+
+  return { qr: { x: cell.x + (cell.w - qrSize) / 2, y: cell.y + pad, size: qrSize }, logo: null, runs: [line] };
+}
+
+// --- District templates (localStorage) ---
+
+const STORAGE_KEY = "starborn.badgeTemplates.v1";
+
+function readAll() {
+  try {
+    const raw = globalThis.localStorage?.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function writeAll(all) {
+  try {
+    globalThis.localStorage?.setItem(STORAGE_KEY, JSON.stringify(all));
+  } catch {
+    throw new Error("Could not save the template (browser storage is full or disabled). Try a smaller logo.");
+  }
+}
+
+/**
+ * Saved templates by name, sorted (the built-in default is not included).
+ */
+export function listSavedTemplates() {
+  return Object.values(readAll())
+    .map(normalizeTemplate)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function saveTemplate(template) {
+  const t = normalizeTemplate(template);
+  const all = readAll();
+  all[t.name] = t;
+  writeAll(all);
+  return t;
+}
+
+export function deleteSavedTemplate(name) {
+  const all = readAll();
+  delete all[name];
+  writeAll(all);
+}
@@ -0,0 +1,144 @@
+import { onlyDigits, padLeft } from "./format.js";
+
+/**
+ * Username rules: a template of literal text and {token|transform|transform:arg} parts that
+ * builds each badge's username from its fields.
+ *
+ *   {prefix}.{headset|pad}                 a.048 (the default: prefix, dot, padded headset #)
+ *   {teacher|initials|lower}{period}.{headset}   ms1.48
+ *   ps12-{prefix}{counter|pad:2}           ps12-a01 (literal school code, per-class counter)
+ *
+ * Usernames must stay within what the headset app accepts (see checkUsername).
+ */
+
+export const DEFAULT_USERNAME_RULE = "{prefix}.{headset|pad}";
+
+export const USERNAME_MAX_LENGTH = 32;
+const USERNAME_CHARS = /^[A-Za-z0-9._-]+$/;
+
+/**
+ * Tokens: the badge field each one reads. counter numbers the rows of each class
+ * (same teacher and period) 1, 2, 3… in roster order (see classCounter).
+ */
+export const USERNAME_TOKENS = {
+  prefix: { label: "Prefix", read: (f) => f.prefix },
+  headset: { label: "Headset #", read: (f) => onlyDigits(f.headsetNumber) },
+  pad: { label: "Headset digits", read: (f) => f.headsetPad },
+  period: { label: "Period", read: (f) => f.period },
+  teacher: { label: "Teacher", read: (f) => f.teacher },
+  group: { label: "Group code", read: (f) => f.groupCode },
+  counter: { label: "Class counter", read: (f) => f.counter },
+};
+
+/**
+ * Transforms, applied left to right; takesNumber ones accept ":n". pad without a width uses
+ * the row's headset digits, first without one keeps a single character.
+ */
+export const USERNAME_TRANSFORMS = {
+  lower: { label: "lowercase", apply: (v) => v.toLowerCase() },
+  upper: { label: "UPPERCASE", apply: (v) => v.toUpperCase() },
+  pad: { label: "zero-pad to n digits", takesNumber: true, apply: (v, n, f) => padLeft(v, Number(n ?? f.headsetPad), "0") },
+  strip: { label: "drop characters usernames can't have", apply: (v) => v.replace(/[^A-Za-z0-9._-]+/g, "") },
+  initials: { label: "first letter of each word", apply: (v) => v.split(/[^A-Za-z0-9]+/).map((w) => w.charAt(0)).join("") },
+  first: { label: "first n characters", takesNumber: true, apply: (v, n = 1) => v.slice(0, Number(n)) },
+};
+
+const str = (v) => (v ?? "").toString().trim();
+
+// "{" token ("|" transform (":" arg)?)* "}"
+function parseRule(template) {
+  const parts = [];
+  const re = /\{([^{}]*)\}|[^{}]+|[{}]/g;
+  for (const [text, inner] of template.matchAll(re)) {
+    if (inner == null) {
+      if (text === "{" || text === "}") throw new Error(`Unmatched "${text}" in the username rule.`);
+      parts.push({ text });
+      continue;
+    }
+
+    const [name, ...steps] = inner.split("|").map((s) => s.trim());
+    if (!USERNAME_TOKENS[name]) throw new Error(`Unknown token {${name}} in the username rule.`);
+    const transforms = steps.map((step) => {
+      const [key, arg] = step.split(":").map((s) => s.trim());
+      const transform = USERNAME_TRANSFORMS[key];
+      if (!transform) throw new Error(`Unknown transform "${key}" in {${inner}}.`);
+      if (arg != null && !(transform.takesNumber && /^\d+$/.test(arg))) {
+        throw new Error(transform.takesNumber ? `"${key}" takes a number, e.g. ${key}:3.` : `"${key}" takes no ":" value.`);
+      }
+      return { key, arg };
+    });
+    parts.push({ token: name, transforms });
+  }
+  if (!parts.some((p) => p.token)) throw new Error("The username rule needs at least one {token}.");
+  return parts;
+}
+
+const compiled = new Map(); // template -> parts
+
+/**
+ * Build a username from badge fields ({ prefix, headsetNumber, headsetPad, period, teacher,
+ * groupCode, counter }) with a rule template. Throws when the template is invalid or a token
+ * it uses has no value for these fields.
+ */
+export function applyUsernameRule(template, fields) {
+  const rule = template || DEFAULT_USERNAME_RULE;
+  if (!compiled.has(rule)) compiled.set(rule, parseRule(rule));
+
+  let out = "";
+  for (const part of compiled.get(rule)) {
+    if (part.text != null) {
+      out += part.text;
+      continue;
+    }
+    const value = str(USERNAME_TOKENS[part.token].read(fields));
+    if (!value) throw new Error(`No ${USERNAME_TOKENS[part.token].label.toLowerCase()} for {${part.token}} in the username rule.`);
+    out += part.transforms.reduce((v, t) => USERNAME_TRANSFORMS[t.key].apply(v, t.arg, fields), value);
+  }
+  return out;
+}
+
+/**
+ * Throws the template's first problem (unknown token or transform, stray brace).
+ */
+export function checkUsernameRule(template) {
+  parseRule(template || DEFAULT_USERNAME_RULE);
+}
+
+/**
+ * Reason a built username won't work in the headset app, or null.
+ */
+export function checkUsername(username) {
+  if (!username) return "Username is empty.";
+  if (!USERNAME_CHARS.test(username)) return "Only letters, digits, \".\", \"_\" and \"-\" are allowed.";
+  if (username.length > USERNAME_MAX_LENGTH) return `Longer than ${USERNAME_MAX_LENGTH} characters.`;
+  return null;
+}
+
+/**
+ * Per-class counter for the {counter} token: next({ teacher, period }) returns 1, 2, 3…
+ * for each teacher + period, in the order rows are read.
+ */
+export function classCounter() {
+  const counts = new Map();
+  return ({ teacher, period }) => {
+    const key = `${str(teacher).toLowerCase()}\u0000${str(period)}`;
+    const n = (counts.get(key) ?? 0) + 1;
+    counts.set(key, n);
+    return n;
+  };
+}
+
+/**
+ * Check a list of built usernames: returns a reason (or null) for each, covering
+ * checkUsername and repeats of an earlier name.
+ */
+export function checkUsernames(usernames) {
+  const first = new Map(); // username -> index
+  return usernames.map((username, i) => {
+    const reason = checkUsername(username);
+    if (reason) return reason;
+    if (first.has(username)) return `Same as #${first.get(username) + 1}.`;
+    first.set(username, i);
+    return null;
+  });
+}
@@ -0,0 +1,152 @@
+import { unzlibSync } from "fflate";
+
+/**
+ * Scan-back checks: decode a QR as it was drawn (canvas, PNG or PDF vector shape) with a
+ * pure-JS decoder (jsQR) and compare it with the payload it was built from (buildPayload output).
+ *
+ * Result: { status: "ok" | "mismatch" | "unreadable", expected, decoded, message }
+ */
+
+// The decoder is loaded on first use so sessions with the scan check off don't download it.
+let jsQR = null;
+async function loadDecoder() {
+  jsQR ??= (await import("jsqr")).default;
+  return jsQR;
+}
+
+/**
+ * RGBA pixels of a vector QR: the qrShape() rectangles (qrvector.js) pdf.js draws, black on
+ * white at px × px, so checking this checks the shape written into the PDF.
+ */
+export function rasterizeQrShape({ size, rects }, px = 512) {
+  const scale = px / size;
+  const data = new Uint8ClampedArray(px * px * 4).fill(255);
+  for (const r of rects) {
+    const x1 = Math.round((r.x + r.w) * scale);
+    const y1 = Math.round((r.y + r.h) * scale);
+    for (let y = Math.round(r.y * scale); y < y1; y++) {
+      for (let x = Math.round(r.x * scale); x < x1; x++) {
+        const p = (y * px + x) * 4;
+        data[p] = data[p + 1] = data[p + 2] = 0;
+      }
+    }
+  }
+  return { data, width: px, height: px };
+}
+
+// PNG file (bytes or data URL) -> RGBA pixels. Handles the 8-bit, non-interlaced PNGs that
+// qrcode and canvases write (grey, RGB, palette, with or without alpha); throws on others.
+function decodePng(png) {
+  const bytes = typeof png === "string" ? Uint8Array.from(atob(png.slice(png.indexOf(",") + 1)), (c) => c.charCodeAt(0)) : png;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let width = 0;
+  let height = 0;
+  let header = null;
+  let palette = null;
+  let alphas = null;
+  const idat = [];
+
+  for (let p = 8; p + 8 <= bytes.length; ) {
+    const length = view.getUint32(p);
+    const type = String.fromCharCode(...bytes.subarray(p + 4, p + 8));
+    const body = bytes.subarray(p + 8, p + 8 + length);
+    if (type === "IHDR") {
+      width = view.getUint32(p + 8);
+      height = view.getUint32(p + 12);
+      header = { depth: body[8], colorType: body[9], interlace: body[12] };
+    } else if (type === "PLTE") {
+      palette = body;
+    } else if (type === "tRNS") {
+      alphas = body;
+    } else if (type === "IDAT") {
+      idat.push(body);
+    } else if (type === "IEND") {
+      break;
+    }
+    p += 12 + length;
+  }
+
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[header?.colorType];
+  if (header?.depth !== 8 || !channels || header.interlace) throw new Error("Unsupported PNG format.");
+
+  const zipped = new Uint8Array(idat.reduce((n, chunk) => n + chunk.length, 0));
+  idat.reduce((offset, chunk) => (zipped.set(chunk, offset), offset + chunk.length), 0);
+  const raw = unzlibSync(zipped);
+
+  // Undo the per-line filters (none, sub, up, average, Paeth)
+  const stride = width * channels;
+  const pixels = new Uint8Array(height * stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = pixels.subarray(y * stride, (y + 1) * stride);
+    const prev = y > 0 ? pixels.subarray((y - 1) * stride, y * stride) : null;
+    for (let i = 0; i < stride; i++) {
+      const a = i >= channels ? out[i - channels] : 0;
+      const b = prev ? prev[i] : 0;
+      const c = prev && i >= channels ? prev[i - channels] : 0;
+      let v = line[i];
+      if (filter === 1) v += a;
+      else if (filter === 2) v += b;
+      else if (filter === 3) v += (a + b) >> 1;
+      else if (filter === 4) {
+        const pa = Math.abs(b - c);
+        const pb = Math.abs(a - c);
+        const pc = Math.abs(a + b - 2 * c);
+        v += pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+      }
+      out[i] = v;
+    }
+  }
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const px = pixels.subarray(i * channels, (i + 1) * channels);
+    let rgba;
+    if (header.colorType === 3) rgba = [...palette.subarray(px[0] * 3, px[0] * 3 + 3), alphas?.[px[0]] ?? 255];
+    else if (channels >= 3) rgba = [px[0], px[1], px[2], channels === 4 ? px[3] : 255];
+    else rgba = [px[0], px[0], px[0], channels === 2 ? px[1] : 255];
+    data.set(rgba, i * 4);
+  }
+  return { data, width, height };
+}
+
+/**
+ * Decode RGBA pixels ({ data, width, height }, e.g. ImageData). Returns the text or null.
+ */
+export async function decodeQrImage({ data, width, height }) {
+  const decode = await loadDecoder();
+  const found = decode(data, width, height, { inversionAttempts: "attemptBoth" });
+  return found ? found.data : null;
+}
+
+export function compareDecoded(decoded, expected) {
+  if (decoded == null) {
+    return { status: "unreadable", expected, decoded: null, message: "QR could not be decoded." };
+  }
+  if (decoded !== expected) {
+    return { status: "mismatch", expected, decoded, message: "QR decodes to a different payload." };
+  }
+  return { status: "ok", expected, decoded, message: "QR scans back correctly." };
+}
+
+/**
+ * Check a QR as pdf.js put it into the PDF: embedded is { shape } (vector: the qrShape()
+ * rectangles drawn) or { png } (raster: the embedded PNG file, bytes or data URL).
+ */
+export async function verifyEmbeddedQr(payload, embedded, { qrPx = 512 } = {}) {
+  try {
+    const pixels = embedded.shape ? rasterizeQrShape(embedded.shape, qrPx) : decodePng(embedded.png);
+    return compareDecoded(await decodeQrImage(pixels), payload);
+  } catch (err) {
+    return { status: "unreadable", expected: payload, decoded: null, message: err?.message || String(err) };
+  }
+}
+
+/**
+ * Check a QR already drawn on a canvas or OffscreenCanvas (what the results grid shows).
+ */
+export async function verifyCanvas(canvas, expected) {
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  return compareDecoded(await decodeQrImage(ctx.getImageData(0, 0, canvas.width, canvas.height)), expected);
+}
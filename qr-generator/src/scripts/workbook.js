@@ -0,0 +1,40 @@
+/**
+ * Spreadsheet import (.xlsx / .xls / .ods, e.g. a Google Sheets download).
+ * Every tab becomes the same array-of-arrays parseCsvFile produces, so it goes
+ * through the usual master-matrix / header / positional detection.
+ */
+export const SPREADSHEET_EXTENSIONS = [".xlsx", ".xls", ".ods"];
+
+export function isSpreadsheetName(name) {
+  const lower = (name ?? "").toString().toLowerCase();
+  return SPREADSHEET_EXTENSIONS.some((ext) => lower.endsWith(ext));
+}
+
+/**
+ * Parse workbook bytes (ArrayBuffer / Uint8Array / Node Buffer).
+ * Returns [{ name, rows }] in tab order; rows are arrays of display strings
+ * (formatted values, so "0004" keeps its leading zeros). Blank rows are dropped.
+ *
+ * The xlsx library is loaded on first use so CSV-only sessions don't download it.
+ */
+export async function parseWorkbook(data) {
+  const XLSX = await import("xlsx");
+  const wb = XLSX.read(data, { type: "array" });
+
+  return wb.SheetNames.map((name) => {
+    const rows = XLSX.utils.sheet_to_json(wb.Sheets[name], {
+      header: 1,
+      raw: false,
+      defval: "",
+      blankrows: false,
+    });
+    return { name, rows: rows.map((r) => r.map((v) => (v ?? "").toString())) };
+  });
+}
+
+/**
+ * Browser File/Blob -> parseWorkbook result.
+ */
+export async function parseWorkbookFile(file) {
+  return parseWorkbook(new Uint8Array(await file.arrayBuffer()));
+}
@@ -0,0 +1,36 @@
+/**
+ * Save a Blob as a file via a temporary <a download> link.
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function downloadText(text, filename, type = "text/csv") {
+  downloadBlob(new Blob([text], { type }), filename);
+}
+
+export function downloadJson(obj, filename) {
+  downloadText(JSON.stringify(obj, null, 2), filename, "application/json");
+}
+
+/**
+ * Open a Blob in a new tab. Returns false when the browser blocked the pop-up.
+ */
+export function openBlob(blob) {
+  const url = URL.createObjectURL(blob);
+  // "noopener" would make window.open return null even when the tab opens
+  const tab = window.open(url, "_blank");
+  if (!tab) {
+    URL.revokeObjectURL(url);
+    return false;
+  }
+  tab.opener = null;
+  return true;
+}
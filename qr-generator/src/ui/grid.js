@@ -0,0 +1,240 @@
+import { GRID_FIELDS } from "../scripts/rows.js";
+import { rowLabel } from "../scripts/roster.js";
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+}
+
+function button(text, title, onClick) {
+  const b = el("button", "small-btn secondary", text);
+  b.type = "button";
+  b.title = title;
+  b.setAttribute("aria-label", title);
+  b.addEventListener("click", onClick);
+  return b;
+}
+
+const ROW_HEIGHT = 86; // px; every row is this tall (see .grid-row in results.css)
+const OVERSCAN = 8; // rows kept rendered above and below the visible ones
+const QR_DELAY_MS = 80; // wait for scrolling to settle before drawing QRs
+
+/**
+ * Editable results table: a window onto the working rows (see rows.js). Only the rows in
+ * view (plus a few either side) have a <tr>; spacer rows stand in for the rest, so large
+ * rosters scroll without building thousands of rows. QR previews are drawn on demand once
+ * their row has been in view for a moment.
+ *
+ * handlers: { onEdit(id, field, value), onMove(id, delta), onInsert(id), onDelete(id),
+ *             onCopy(id), onDownload(id), onDownloadSvg(id), onSelect(id, checked),
+ *             drawQr(id) -> Promise of a canvas (or null) }
+ * Returns { render(rows, views, opts), scrollToRow(index) } where views.get(id) is
+ *   { username, ok, flags: [{ severity, message }], canvas?, device? }
+ * (device: the inventory device of the row's headset, null when it is not in the inventory,
+ * undefined when no inventory is loaded; see inventory.js)
+ * and opts is { selected: Set of row ids, filter(row) -> boolean (false hides the row) }.
+ * render reuses existing <tr>s by row id, so typing in one row keeps focus while
+ * the others update.
+ */
+export function createResultsGrid(container, handlers) {
+  const table = el("table", "grid-table");
+  const thead = el("thead");
+  const headRow = el("tr");
+  const labels = ["", "#", ...GRID_FIELDS.map((f) => f.label), "Username", "Device", "QR", "Status", ""];
+  for (const label of labels) headRow.appendChild(el("th", "", label));
+  thead.appendChild(headRow);
+  const tbody = el("tbody");
+  const spacerTop = spacer(labels.length);
+  const spacerBottom = spacer(labels.length);
+  tbody.append(spacerTop.tr, spacerBottom.tr);
+  table.append(thead, tbody);
+  container.appendChild(table);
+
+  const trs = new Map(); // id -> { tr, cells, view }, rendered rows only
+  let state = { rows: [], views: new Map(), selected: new Set(), shown: [] }; // shown: [{ row, index }]
+  let targetId = null; // row highlighted by scrollToRow
+  let frame = 0;
+  let qrTimer = 0;
+
+  function spacer(columns) {
+    const tr = el("tr", "grid-spacer");
+    const td = el("td");
+    td.colSpan = columns;
+    tr.appendChild(td);
+    return { tr, setHeight: (px) => (td.style.height = `${px}px`) };
+  }
+
+  function createRow(id) {
+    const tr = el("tr", "grid-row");
+    tr.dataset.id = id;
+    const cells = {};
+
+    cells.select = el("input");
+    cells.select.type = "checkbox";
+    cells.select.setAttribute("aria-label", "Select row for printing");
+    cells.select.addEventListener("change", () => handlers.onSelect(id, cells.select.checked));
+    const selectTd = el("td", "grid-select");
+    selectTd.appendChild(cells.select);
+
+    cells.pos = el("td", "grid-pos");
+    tr.append(selectTd, cells.pos);
+
+    cells.inputs = {};
+    for (const f of GRID_FIELDS) {
+      const input = el("input", "grid-input");
+      input.dataset.field = f.key;
+      input.setAttribute("aria-label", f.label);
+      input.addEventListener("change", () => handlers.onEdit(id, f.key, input.value));
+      cells.inputs[f.key] = input;
+      const td = el("td");
+      td.appendChild(input);
+      tr.appendChild(td);
+    }
+
+    cells.username = el("td", "grid-username");
+    cells.device = el("td", "grid-device");
+    cells.qr = el("td", "grid-qr");
+    cells.status = el("div", "grid-status-list");
+    const statusTd = el("td", "grid-status");
+    statusTd.appendChild(cells.status);
+    tr.append(cells.username, cells.device, cells.qr, statusTd);
+
+    const actions = el("td", "grid-actions");
+    actions.append(
+      button("↑", "Move up", () => handlers.onMove(id, -1)),
+      button("↓", "Move down", () => handlers.onMove(id, 1)),
+      button("+", "Add a row below", () => handlers.onInsert(id)),
+      button("✕", "Delete row", () => handlers.onDelete(id)),
+      button("JSON", "Copy payload JSON", () => handlers.onCopy(id)),
+      button("PNG", "Download PNG", () => handlers.onDownload(id)),
+      button("SVG", "Download SVG", () => handlers.onDownloadSvg(id))
+    );
+    tr.appendChild(actions);
+
+    return { tr, cells, view: null };
+  }
+
+  function fill(entry, row, index, view) {
+    const { tr, cells } = entry;
+    entry.view = view;
+    cells.select.checked = state.selected.has(row.id);
+    cells.pos.textContent = String(index + 1);
+    cells.pos.title = row.sourceRow != null ? rowLabel(row) : "Added here";
+
+    for (const f of GRID_FIELDS) {
+      const input = cells.inputs[f.key];
+      // Don't clobber what the user is typing
+      if (document.activeElement !== input) input.value = row[f.key] ?? "";
+    }
+
+    cells.username.textContent = view?.username || "—";
+
+    const device = view?.device;
+    cells.device.textContent = device ? device.assetTag || device.serial : device === null ? "Not in inventory" : "";
+    cells.device.title = device ? [`Serial ${device.serial}`, device.cart, device.school].filter(Boolean).join(" · ") : "";
+    cells.device.classList.toggle("grid-device-missing", device === null);
+
+    if (view?.canvas) {
+      if (cells.qr.firstChild !== view.canvas) cells.qr.replaceChildren(view.canvas);
+    } else {
+      cells.qr.replaceChildren();
+    }
+
+    cells.status.replaceChildren();
+    const flags = view?.flags ?? [];
+    if (view?.ok && flags.length === 0) cells.status.appendChild(el("span", "grid-ok", "OK"));
+    for (const f of flags) cells.status.appendChild(el("p", `result-flag result-flag-${f.severity}`, f.message));
+
+    tr.classList.toggle("grid-row-error", !view?.ok || flags.some((f) => f.severity === "error"));
+    tr.classList.toggle("grid-row-target", row.id === targetId);
+  }
+
+  // Rows [start, end) of the shown list that are in view, plus the overscan
+  function windowRange() {
+    const height = container.clientHeight || ROW_HEIGHT * 10;
+    // Clamp for a scroll position left over from a longer list (before the browser adjusts it)
+    const top = Math.min(Math.max(0, container.scrollTop - thead.offsetHeight), Math.max(0, state.shown.length * ROW_HEIGHT - height));
+    const start = Math.max(0, Math.floor(top / ROW_HEIGHT) - OVERSCAN);
+    const end = Math.min(state.shown.length, Math.ceil((top + height) / ROW_HEIGHT) + OVERSCAN);
+    return { start, end: Math.max(start, end) };
+  }
+
+  function paint() {
+    const { start, end } = windowRange();
+    const visible = state.shown.slice(start, end);
+    const keep = new Set(visible.map(({ row }) => row.id));
+
+    for (const [id, entry] of trs) {
+      if (!keep.has(id)) {
+        entry.tr.remove();
+        trs.delete(id);
+      }
+    }
+
+    spacerTop.setHeight(start * ROW_HEIGHT);
+    spacerBottom.setHeight((state.shown.length - end) * ROW_HEIGHT);
+
+    visible.forEach(({ row, index }, i) => {
+      let entry = trs.get(row.id);
+      if (!entry) {
+        entry = createRow(row.id);
+        trs.set(row.id, entry);
+      }
+      fill(entry, row, index, state.views.get(row.id));
+      // children[0] is the top spacer
+      if (tbody.children[i + 1] !== entry.tr) tbody.insertBefore(entry.tr, tbody.children[i + 1]);
+    });
+
+    scheduleQrs();
+  }
+
+  // Draw missing QR previews for the rendered rows once scrolling pauses
+  function scheduleQrs() {
+    clearTimeout(qrTimer);
+    qrTimer = setTimeout(() => {
+      for (const [id, entry] of trs) {
+        const view = entry.view;
+        if (!view?.ok || view.canvas) continue;
+        handlers.drawQr(id).then((canvas) => {
+          if (canvas && trs.get(id) === entry && entry.view === view) entry.cells.qr.replaceChildren(canvas);
+        });
+      }
+    }, QR_DELAY_MS);
+  }
+
+  container.addEventListener("scroll", () => {
+    if (!frame) {
+      frame = requestAnimationFrame(() => {
+        frame = 0;
+        paint();
+      });
+    }
+  });
+
+  function render(rows, views, { selected = new Set(), filter = () => true } = {}) {
+    const shown = [];
+    rows.forEach((row, index) => {
+      if (filter(row)) shown.push({ row, index });
+    });
+    state = { rows, views, selected, shown };
+    container.hidden = rows.length === 0;
+    paint();
+  }
+
+  /**
+   * Scroll row `index` (0-based, in the full row list) to the top of the grid and highlight it.
+   * Returns false when there is no such row or the filters hide it.
+   */
+  function scrollToRow(index) {
+    const at = state.shown.findIndex((s) => s.index === index);
+    if (at < 0) return false;
+    targetId = state.shown[at].row.id;
+    container.scrollTop = at * ROW_HEIGHT;
+    paint();
+    return true;
+  }
+
+  return { render, scrollToRow };
+}
@@ -0,0 +1,185 @@
+import {
+  inventoryFromRows,
+  mergeInventory,
+  linkDevice,
+  matchInventory,
+  inventoryReportCsv,
+  loadInventory,
+  saveInventory,
+} from "../scripts/inventory.js";
+import { parseCsvFile } from "../scripts/csv.js";
+import { isSpreadsheetName, parseWorkbookFile } from "../scripts/workbook.js";
+import { downloadText } from "./download.js";
+
+const REPORT_LIST_MAX = 12; // names listed per line of the report
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+}
+
+function headsetName(prefix, headset) {
+  return prefix ? `${prefix} #${headset}` : `#${headset}`;
+}
+
+function listed(names) {
+  const more = names.length - REPORT_LIST_MAX;
+  return names.slice(0, REPORT_LIST_MAX).join(", ") + (more > 0 ? ` and ${more} more` : "");
+}
+
+function bySchoolCart(a, b) {
+  return a.school.localeCompare(b.school) || a.cart.localeCompare(b.cart) || (a.headsetNumber ?? 0) - (b.headsetNumber ?? 0);
+}
+
+/**
+ * Wires the "Headset Inventory" card: importing a device list (serial, asset tag, cart,
+ * school, and optionally the prefix + headset # each device is linked to), editing those
+ * links, and the report of gaps and orphans against the current badges.
+ *
+ * opts.getBadges() -> the badges printed from the results grid.
+ * opts.onChange(devices) runs after the inventory changes (import, link edit, clear).
+ * Returns { devices(), refresh() }; refresh redraws the table and report.
+ */
+export function initInventoryPanel({ getBadges, onChange }) {
+  const $ = (id) => document.getElementById(id);
+  const els = {
+    file: $("inventoryFile"),
+    status: $("inventoryStatus"),
+    table: $("inventoryTable"),
+    report: $("inventoryReport"),
+    download: $("inventoryDownload"),
+    clear: $("inventoryClear"),
+  };
+
+  let devices = loadInventory();
+
+  function update(next) {
+    devices = next;
+    saveInventory(devices);
+    onChange(devices);
+  }
+
+  function linkInput(device, field, label) {
+    const input = el("input", "grid-input");
+    input.setAttribute("aria-label", `${label} for ${device.serial}`);
+    input.value = field === "prefix" ? device.prefix : String(device.headsetNumber ?? "");
+    input.addEventListener("change", () => {
+      const value = input.value.trim();
+      let { prefix, headsetNumber } = device;
+      if (field === "prefix") {
+        prefix = value;
+      } else if (!value) {
+        headsetNumber = null;
+      } else if (/^\d+$/.test(value) && Number(value) > 0) {
+        headsetNumber = Number(value);
+      } else {
+        els.status.textContent = `"${value}" is not a headset number.`;
+        input.value = String(device.headsetNumber ?? "");
+        return;
+      }
+      update(linkDevice(devices, device.serial, { prefix, headsetNumber }));
+    });
+    return input;
+  }
+
+  function renderTable(match, badges) {
+    els.table.replaceChildren();
+    els.table.hidden = devices.length === 0;
+    if (!devices.length) return;
+
+    const table = el("table", "grid-table");
+    const head = el("tr");
+    for (const label of ["School", "Cart", "Asset Tag", "Serial", "Prefix", "Headset #", "Badges"]) head.appendChild(el("th", "", label));
+    table.appendChild(el("thead")).appendChild(head);
+
+    const tbody = el("tbody");
+    for (const d of [...devices].sort(bySchoolCart)) {
+      const tr = el("tr");
+      tr.append(el("td", "", d.school), el("td", "", d.cart), el("td", "", d.assetTag), el("td", "grid-username", d.serial));
+      for (const [field, label] of [["prefix", "Prefix"], ["headsetNumber", "Headset #"]]) {
+        const td = el("td");
+        td.appendChild(linkInput(d, field, label));
+        tr.appendChild(td);
+      }
+      const names = (match.badgesOf.get(d) ?? []).map((i) => badges[i].username);
+      tr.appendChild(el("td", names.length ? "grid-username" : "subtle", names.length ? listed([...new Set(names)]) : "No badge"));
+      tbody.appendChild(tr);
+    }
+    table.appendChild(tbody);
+    els.table.appendChild(table);
+  }
+
+  function renderReport(match, badges) {
+    els.report.replaceChildren();
+    els.download.disabled = devices.length === 0;
+    els.clear.disabled = devices.length === 0;
+    if (!devices.length) return;
+
+    const line = (text, className = "") => els.report.appendChild(el("p", `result-flag ${className}`, text));
+
+    // Gaps by cart: a headset in the cart with nobody's badge on it
+    const carts = new Map();
+    for (const d of [...match.gaps].sort(bySchoolCart)) {
+      const cart = [d.school, d.cart || "No cart"].filter(Boolean).join(" · ");
+      if (!carts.has(cart)) carts.set(cart, []);
+      carts.get(cart).push(headsetName(d.prefix, d.headsetNumber));
+    }
+    if (carts.size === 0) line("No gaps: every linked headset has a badge.");
+    for (const [cart, names] of carts) line(`Gap, ${cart}: ${listed(names)} (no badge).`, "result-flag-warning");
+
+    if (match.orphans.length) {
+      const names = match.orphans.map((i) => `${badges[i].username} (${badges[i].sheet ? `${badges[i].sheet} ` : ""}row ${badges[i].row})`);
+      line(`Orphans: ${match.orphans.length} badge(s) for headsets not in the inventory: ${listed(names)}.`, "result-flag-error");
+    } else if (badges.length) {
+      line(`No orphans: all ${badges.length} badge(s) belong to a device.`);
+    }
+
+    if (match.unlinked.length) {
+      line(`${match.unlinked.length} device(s) have no headset # yet: ${listed(match.unlinked.map((d) => d.assetTag || d.serial))}.`, "result-flag-warning");
+    }
+  }
+
+  function refresh() {
+    const badges = getBadges();
+    const match = matchInventory(devices, badges);
+    renderTable(match, badges);
+    renderReport(match, badges);
+  }
+
+  els.file.addEventListener("change", async () => {
+    const file = els.file.files?.[0];
+    els.file.value = "";
+    if (!file) return;
+    try {
+      const rows = isSpreadsheetName(file.name)
+        ? (await parseWorkbookFile(file)).find((s) => s.rows.length)?.rows ?? []
+        : await parseCsvFile(file);
+      const { devices: imported, issues } = inventoryFromRows(rows);
+      update(mergeInventory(devices, imported));
+      const problems = issues.slice(0, REPORT_LIST_MAX).map((i) => `Row ${i.row}: ${i.reason}`);
+      els.status.textContent =
+        `Imported ${imported.length} device(s) from ${file.name}.` +
+        `${issues.length ? ` ${issues.length} issue(s). ${problems.join(" ")}` : ""}`;
+    } catch (err) {
+      els.status.textContent = `Could not read the device list: ${err.message}`;
+    }
+  });
+
+  els.download.addEventListener("click", () => {
+    const badges = getBadges();
+    downloadText(inventoryReportCsv(matchInventory(devices, badges), badges), "inventory-report.csv");
+  });
+
+  els.clear.addEventListener("click", () => {
+    if (!confirm(`Remove all ${devices.length} device(s) from the inventory in this browser?`)) return;
+    update([]);
+    els.status.textContent = "Inventory cleared.";
+  });
+
+  if (devices.length) els.status.textContent = `${devices.length} device(s) in the inventory.`;
+  refresh();
+
+  return { devices: () => devices, refresh };
+}
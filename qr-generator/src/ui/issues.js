@@ -0,0 +1,94 @@
+/**
+ * Sortable table of CSV validation issues (see roster.js for the issue shape).
+ */
+const COLUMNS = [
+  { key: "sheet", label: "Sheet" },
+  { key: "row", label: "Row", numeric: true },
+  { key: "column", label: "Column" },
+  { key: "field", label: "Field" },
+  { key: "value", label: "Value" },
+  { key: "severity", label: "Severity" },
+  { key: "reason", label: "Reason" },
+];
+
+function compare(a, b, col) {
+  if (col.numeric) return (Number(a[col.key]) || 0) - (Number(b[col.key]) || 0);
+  return String(a[col.key] ?? "").localeCompare(String(b[col.key] ?? ""), undefined, { numeric: true });
+}
+
+/**
+ * Creates the table inside container. Returns { setIssues(issues) }.
+ * Clicking a header sorts by that column; clicking again reverses.
+ */
+export function createIssuesTable(container) {
+  let issues = [];
+  let sortKey = "row";
+  let sortDir = 1;
+
+  const table = document.createElement("table");
+  table.className = "issues-table";
+
+  const thead = document.createElement("thead");
+  const headRow = document.createElement("tr");
+  const ths = COLUMNS.map((col) => {
+    const th = document.createElement("th");
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "sort-btn";
+    btn.textContent = col.label;
+    btn.addEventListener("click", () => {
+      sortDir = sortKey === col.key ? -sortDir : 1;
+      sortKey = col.key;
+      render();
+    });
+    th.appendChild(btn);
+    headRow.appendChild(th);
+    return th;
+  });
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+
+  const tbody = document.createElement("tbody");
+  table.appendChild(tbody);
+
+  function render() {
+    const col = COLUMNS.find((c) => c.key === sortKey);
+    // Stable secondary order: source row
+    const sorted = [...issues].sort((a, b) => compare(a, b, col) * sortDir || a.row - b.row);
+
+    // Sheet column only for workbook imports
+    const showSheet = issues.some((i) => i.sheet);
+    ths[0].hidden = !showSheet;
+
+    COLUMNS.forEach((c, i) => {
+      ths[i].setAttribute("aria-sort", c.key === sortKey ? (sortDir > 0 ? "ascending" : "descending") : "none");
+    });
+
+    tbody.innerHTML = "";
+    for (const issue of sorted) {
+      const tr = document.createElement("tr");
+      tr.className = `issue-${issue.severity}`;
+      for (const c of COLUMNS) {
+        if (c.key === "sheet" && !showSheet) continue;
+        const td = document.createElement("td");
+        td.className = `col-${c.key}`;
+        td.textContent = issue[c.key] ?? "";
+        tr.appendChild(td);
+      }
+      tbody.appendChild(tr);
+    }
+
+    container.hidden = issues.length === 0;
+  }
+
+  container.innerHTML = "";
+  container.appendChild(table);
+  render();
+
+  return {
+    setIssues(next) {
+      issues = Array.isArray(next) ? next : [];
+      render();
+    },
+  };
+}
@@ -0,0 +1,137 @@
+import { MAPPABLE_FIELDS, columnLetter, isMappingComplete } from "../scripts/csv.js";
+
+const PREVIEW_ROWS = 5;
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+}
+
+/**
+ * Column-mapping step: previews the first rows and lets the user assign each
+ * source column to a field (or ignore it).
+ *
+ * Renders into container (shown while open) and resolves with
+ * { mapping: { hasHeader, columns }, remember } on Apply, or null on Cancel.
+ * opts.title names the source (e.g. the workbook tab) above the preview.
+ */
+export function promptColumnMapping(container, rawRows, initial, { title = "" } = {}) {
+  return new Promise((resolve) => {
+    const width = initial.columns.length;
+    const mapping = { hasHeader: initial.hasHeader, columns: [...initial.columns] };
+
+    container.innerHTML = "";
+    container.hidden = false;
+
+    if (title) container.appendChild(el("h3", "section-title", title));
+
+    container.appendChild(
+      el(
+        "p",
+        "subtle",
+        "Choose which field each column holds. Columns set to “Ignore” aren't printed but are " +
+        "copied to the ZIP's manifest.csv. " +
+        "A Username column is used as-is instead of Prefix + Headset #."
+      )
+    );
+
+    const headerLabel = el("label", "check mt10");
+    const headerBox = document.createElement("input");
+    headerBox.type = "checkbox";
+    headerBox.checked = mapping.hasHeader;
+    headerLabel.append(headerBox, " First row is a header");
+    container.appendChild(headerLabel);
+
+    const wrap = el("div", "mapping-wrap mt10");
+    const table = el("table", "mapping-table");
+    const thead = document.createElement("thead");
+    const headRow = document.createElement("tr");
+    const tbody = document.createElement("tbody");
+    table.append(thead, tbody);
+    thead.appendChild(headRow);
+    wrap.appendChild(table);
+    container.appendChild(wrap);
+
+    const status = el("p", "subtle mt10");
+    container.appendChild(status);
+
+    const rememberLabel = el("label", "check mt10");
+    const rememberBox = document.createElement("input");
+    rememberBox.type = "checkbox";
+    rememberBox.checked = true;
+    rememberLabel.append(rememberBox, " Remember this mapping for files with the same columns");
+    container.appendChild(rememberLabel);
+
+    const actions = el("div", "actions");
+    const applyBtn = el("button", "btn", "Apply Mapping");
+    applyBtn.type = "button";
+    const cancelBtn = el("button", "btn btn-secondary", "Cancel");
+    cancelBtn.type = "button";
+    actions.append(applyBtn, cancelBtn);
+    container.appendChild(actions);
+
+    const selects = [];
+    for (let c = 0; c < width; c++) {
+      const th = document.createElement("th");
+      const name = el("div", "mapping-col");
+      th.appendChild(name);
+
+      const select = el("select", "field-input");
+      select.add(new Option("Ignore", ""));
+      for (const f of MAPPABLE_FIELDS) select.add(new Option(f.label, f.key));
+      select.value = mapping.columns[c] || "";
+      select.addEventListener("change", () => {
+        mapping.columns[c] = select.value;
+        render();
+      });
+      th.appendChild(select);
+
+      headRow.appendChild(th);
+      selects.push({ select, name });
+    }
+
+    function render() {
+      const header = mapping.hasHeader ? rawRows[0] || [] : [];
+      selects.forEach(({ name }, c) => {
+        const h = (header[c] ?? "").toString().trim();
+        name.textContent = h ? `${columnLetter(c)} · ${h}` : `Column ${columnLetter(c)}`;
+      });
+
+      tbody.innerHTML = "";
+      const start = mapping.hasHeader ? 1 : 0;
+      for (const r of rawRows.slice(start, start + PREVIEW_ROWS)) {
+        const tr = document.createElement("tr");
+        for (let c = 0; c < width; c++) {
+          const td = el("td", mapping.columns[c] ? "" : "mapping-ignored", (r?.[c] ?? "").toString());
+          tr.appendChild(td);
+        }
+        tbody.appendChild(tr);
+      }
+
+      const complete = isMappingComplete(mapping);
+      applyBtn.disabled = !complete;
+      status.textContent = complete
+        ? `${Math.max(0, rawRows.length - start)} data row(s).`
+        : "Map at least Group Code and either Headset # or Username.";
+    }
+
+    headerBox.addEventListener("change", () => {
+      mapping.hasHeader = headerBox.checked;
+      render();
+    });
+
+    function close(result) {
+      container.hidden = true;
+      container.innerHTML = "";
+      resolve(result);
+    }
+
+    applyBtn.addEventListener("click", () => close({ mapping, remember: rememberBox.checked }));
+    cancelBtn.addEventListener("click", () => close(null));
+
+    render();
+    container.scrollIntoView?.({ behavior: "smooth", block: "start" });
+  });
+}
@@ -0,0 +1,258 @@
+import QRCode from "qrcode";
+import { layoutBadge, layoutLabel, CARD_PAD, CARD_DASH_INSET, CARD_CROP_LEN } from "../scripts/template.js";
+import {
+  rosterCells,
+  ROSTER_COLUMNS,
+  ROSTER_ROW_H,
+  ROSTER_MARGIN,
+  ROSTER_TABLE_TOP,
+  DIVIDER_COL_W,
+  DIVIDER_LINE_H,
+  dividerMargin,
+  dividerListTop,
+} from "../scripts/sections.js";
+import { cellOrigin, headingBaseline } from "../scripts/layout.js";
+
+const FONT = "Helvetica, Arial, sans-serif";
+
+const qrCanvases = new Map(); // payload -> canvas (last few only)
+const QR_CACHE_MAX = 200;
+const images = new Map(); // dataUrl -> Promise<HTMLImageElement>
+
+async function qrCanvas(payload) {
+  let canvas = qrCanvases.get(payload);
+  if (!canvas) {
+    canvas = document.createElement("canvas");
+    await QRCode.toCanvas(canvas, payload, { errorCorrectionLevel: "M", margin: 2, width: 256 });
+    if (qrCanvases.size >= QR_CACHE_MAX) qrCanvases.delete(qrCanvases.keys().next().value);
+    qrCanvases.set(payload, canvas);
+  }
+  return canvas;
+}
+
+function loadImage(src) {
+  if (!images.has(src)) {
+    images.set(
+      src,
+      new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error("Could not load the logo image."));
+        img.src = src;
+      })
+    );
+  }
+  return images.get(src);
+}
+
+function setFont(ctx, sizePt, bold, pxPerIn) {
+  ctx.font = `${bold ? "bold " : ""}${(sizePt / 72) * pxPerIn}px ${FONT}`;
+}
+
+function measurer(ctx, pxPerIn) {
+  return (text, size, bold) => {
+    setFont(ctx, size, bold, pxPerIn);
+    return ctx.measureText(text).width / pxPerIn;
+  };
+}
+
+// Text runs + QR from layoutBadge / layoutLabel
+async function drawContent(ctx, { qr, runs }, item, pxPerIn) {
+  const px = (inches) => inches * pxPerIn;
+
+  ctx.fillStyle = "#000";
+  ctx.textBaseline = "alphabetic";
+  for (const run of runs) {
+    setFont(ctx, run.size, run.bold, pxPerIn);
+    ctx.fillText(run.text, px(run.x), px(run.y));
+    if (run.underline) ctx.fillRect(px(run.x), px(run.y + 0.03), px(run.width), Math.max(1, px(0.01)));
+  }
+
+  if (qr.size > 0 && item.payload) {
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(await qrCanvas(item.payload), px(qr.x), px(qr.y), px(qr.size), px(qr.size));
+  }
+}
+
+// Corner marks along the frame, as pdf.js drawCropMarks (all in canvas pixels)
+function drawCropMarks(ctx, x, y, w, h, len) {
+  ctx.beginPath();
+  for (const [cx, dx] of [[x, 1], [x + w, -1]]) {
+    for (const [cy, dy] of [[y, 1], [y + h, -1]]) {
+      ctx.moveTo(cx + dx * len, cy);
+      ctx.lineTo(cx, cy);
+      ctx.lineTo(cx, cy + dy * len);
+    }
+  }
+  ctx.stroke();
+}
+
+/**
+ * Draw a "card" cell the way pdf.js prints it: frame + cut guide + crop marks, template text, logo and QR.
+ * x, y: the cell's top-left on the page (inches); pxPerIn: canvas pixels per inch.
+ */
+export async function drawBadgeCell(ctx, layout, template, item, { x = 0, y = 0, pxPerIn }) {
+  const px = (inches) => inches * pxPerIn;
+  const { cellW, cellH, scale } = layout;
+
+  ctx.save();
+  ctx.strokeStyle = "#000";
+  ctx.lineWidth = Math.max(1, px(0.01));
+  ctx.strokeRect(px(x), px(y), px(cellW), px(cellH));
+  ctx.setLineDash([px(0.06), px(0.06)]);
+  ctx.strokeRect(
+    px(x + CARD_DASH_INSET),
+    px(y + CARD_DASH_INSET),
+    px(cellW - 2 * CARD_DASH_INSET),
+    px(cellH - 2 * CARD_DASH_INSET)
+  );
+  ctx.setLineDash([]);
+  drawCropMarks(ctx, px(x), px(y), px(cellW), px(cellH), px(CARD_CROP_LEN));
+
+  const box = { x: x + CARD_PAD, y: y + CARD_PAD, w: cellW - 2 * CARD_PAD, h: cellH - 2 * CARD_PAD };
+  const badge = layoutBadge(template, item, box, { scale, measure: measurer(ctx, pxPerIn) });
+
+  if (badge.logo) {
+    const img = await loadImage(badge.logo.dataUrl).catch(() => null);
+    if (img) ctx.drawImage(img, px(badge.logo.x), px(badge.logo.y), px(badge.logo.w), px(badge.logo.h));
+  }
+
+  await drawContent(ctx, badge, item, pxPerIn);
+  ctx.restore();
+}
+
+/**
+ * Draw a "label" cell the way pdf.js prints it (no frame: label stock is die-cut).
+ */
+export async function drawLabelCell(ctx, layout, item, { x = 0, y = 0, pxPerIn }) {
+  ctx.save();
+  const label = layoutLabel(item, { x, y, w: layout.cellW, h: layout.cellH }, { measure: measurer(ctx, pxPerIn) });
+  await drawContent(ctx, label, item, pxPerIn);
+  ctx.restore();
+}
+
+// Text cut to fit maxW inches (canvas has no splitTextToSize)
+function clip(ctx, text, maxW, pxPerIn) {
+  let t = String(text);
+  while (t.length > 1 && ctx.measureText(t).width / pxPerIn > maxW) t = t.slice(0, -2) + "…";
+  return t;
+}
+
+// pdf.js drawDividerPage: one page of planDividerPages
+function drawDivider(ctx, layout, { section, names, perCol, page, pages }, { pxPerIn, title }) {
+  const px = (inches) => inches * pxPerIn;
+  const margin = dividerMargin(layout);
+  const width = layout.pageW - 2 * margin;
+  const name = `${section.title}${section.continued || page > 1 ? " (continued)" : ""}`;
+
+  ctx.fillStyle = "#000";
+  setFont(ctx, 10, false, pxPerIn);
+  ctx.fillText(title, px(margin), px(margin));
+
+  let size = 26;
+  const measure = measurer(ctx, pxPerIn);
+  while (size > 12 && measure(name, size, true) > width) size -= 0.5;
+  setFont(ctx, size, true, pxPerIn);
+  ctx.fillText(name, px(margin), px(margin + 0.55));
+
+  if (page === 1) {
+    const facts = [
+      ["Teacher", section.teachers.join(", ") || "—"],
+      ["Period", section.periods.join(", ") || "—"],
+      ["Group Code", section.groupCodes.join(", ") || "—"],
+      ["QR Codes", String(section.items.length)],
+    ];
+    let y = margin + 1.0;
+    for (const [label, value] of facts) {
+      setFont(ctx, 12, true, pxPerIn);
+      ctx.fillText(`${label}:`, px(margin), px(y));
+      setFont(ctx, 12, false, pxPerIn);
+      ctx.fillText(clip(ctx, value, width - 1.3, pxPerIn), px(margin + 1.3), px(y));
+      y += 0.25;
+    }
+  }
+
+  const top = dividerListTop(layout, page);
+  setFont(ctx, 12, true, pxPerIn);
+  ctx.fillText(pages > 1 ? `Usernames (page ${page} of ${pages})` : "Usernames", px(margin), px(top - 0.3));
+  setFont(ctx, 10, false, pxPerIn);
+  names.forEach((username, i) => {
+    const c = Math.floor(i / perCol);
+    ctx.fillText(username, px(margin + c * DIVIDER_COL_W), px(top + (i % perCol) * DIVIDER_LINE_H));
+  });
+}
+
+// pdf.js drawRosterPage: one page of a class roster table
+function drawRoster(ctx, layout, { section, rows, page, pages }, { pxPerIn, title }) {
+  const px = (inches) => inches * pxPerIn;
+  const margin = ROSTER_MARGIN;
+  const tableW = layout.pageW - 2 * margin;
+  const widths = ROSTER_COLUMNS.map((c) => c.w || tableW - ROSTER_COLUMNS.reduce((a, x) => a + x.w, 0));
+
+  ctx.fillStyle = "#000";
+  setFont(ctx, 10, false, pxPerIn);
+  ctx.fillText(title, px(margin), px(margin));
+  setFont(ctx, 16, true, pxPerIn);
+  ctx.fillText(clip(ctx, `Class Roster – ${section.title}`, tableW, pxPerIn), px(margin), px(margin + 0.35));
+
+  setFont(ctx, 10, false, pxPerIn);
+  const facts = [
+    section.groupCodes.length ? `Group Code: ${section.groupCodes.join(", ")}` : "",
+    `${section.items.length} headset(s)`,
+    pages > 1 ? `Page ${page} of ${pages}` : "",
+  ].filter(Boolean);
+  ctx.fillText(facts.join("   •   "), px(margin), px(margin + 0.62));
+
+  ctx.strokeStyle = "#000";
+  ctx.lineWidth = Math.max(1, px(0.01));
+  [ROSTER_COLUMNS.map((c) => c.label), ...rows.map(rosterCells)].forEach((cells, r) => {
+    const y = ROSTER_TABLE_TOP + r * ROSTER_ROW_H;
+    if (r === 0) {
+      ctx.fillStyle = "rgb(235, 235, 235)";
+      ctx.fillRect(px(margin), px(y), px(tableW), px(ROSTER_ROW_H));
+    }
+    ctx.fillStyle = "#000";
+    setFont(ctx, r === 0 ? 10 : 11, r === 0, pxPerIn);
+
+    let x = margin;
+    cells.forEach((text, c) => {
+      ctx.strokeRect(px(x), px(y), px(widths[c]), px(ROSTER_ROW_H));
+      if (text) ctx.fillText(clip(ctx, text, widths[c] - 0.12, pxPerIn), px(x + 0.06), px(y + ROSTER_ROW_H * 0.68));
+      x += widths[c];
+    });
+  });
+}
+
+/**
+ * Draw one page of planExport() (sections.js) the way pdf.js prints it onto a canvas
+ * sized layout.pageW × layout.pageH inches at pxPerIn. title: its PDF's title (divider and roster pages).
+ */
+export async function drawPrintPage(ctx, layout, template, page, { pxPerIn, title = "" }) {
+  ctx.save();
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, layout.pageW * pxPerIn, layout.pageH * pxPerIn);
+
+  if (page.kind === "divider") {
+    drawDivider(ctx, layout, page, { pxPerIn, title });
+    ctx.restore();
+    return;
+  }
+  if (page.kind === "roster") {
+    drawRoster(ctx, layout, page, { pxPerIn, title });
+    ctx.restore();
+    return;
+  }
+
+  if (layout.showTitle) {
+    ctx.fillStyle = "#000";
+    setFont(ctx, 11, false, pxPerIn);
+    ctx.fillText(page.heading, layout.marginX * pxPerIn, headingBaseline(layout) * pxPerIn);
+  }
+
+  for (const { slot, item } of page.cells) {
+    const { x, y } = cellOrigin(layout, slot);
+    if (layout.style === "label") await drawLabelCell(ctx, layout, item, { x, y, pxPerIn });
+    else await drawBadgeCell(ctx, layout, template, item, { x, y, pxPerIn });
+  }
+  ctx.restore();
+}
@@ -0,0 +1,153 @@
+import { planExport } from "../scripts/sections.js";
+import { resolveLayout } from "../scripts/layout.js";
+import { drawPrintPage } from "./preview.js";
+
+const SCREEN_PX_PER_IN = 72;
+const PRINT_PX_PER_IN = 150;
+const MAX_BROWSER_PRINT_PAGES = 60; // bigger jobs: Export PDF (page images get heavy)
+const REDRAW_DELAY_MS = 150;
+
+/**
+ * Wires the "Print Preview" card: the pages of the next print, drawn the same way pdf.js
+ * draws them (sections.js planExport + ui/preview.js), with page navigation.
+ *
+ * opts.getJob(source) -> { items, opts } with the options the PDF export uses (pdf.js
+ *   buildQrPdfBatchedWithProgress) for the chosen source ("csv" | "selection" | "manual");
+ *   throw to show a message instead.
+ * opts.onExport(source) exports that source as PDF (same path as its print button).
+ * Returns { refresh() }: redraws shortly after (call it after every change that affects printing).
+ */
+export function initPrintPreview({ getJob, onExport }) {
+  const $ = (id) => document.getElementById(id);
+  const els = {
+    source: $("previewSource"),
+    prev: $("previewPrev"),
+    next: $("previewNext"),
+    page: $("previewPage"),
+    canvas: $("previewCanvas"),
+    exportBtn: $("previewExport"),
+    print: $("previewPrint"),
+    status: $("previewStatus"),
+    printRoot: $("printRoot"),
+  };
+
+  let pageIndex = 0;
+  let plan = null; // { job, layout, pdfs, pages: [{ page, title }] }
+  let timer = null;
+  let drawing = Promise.resolve();
+
+  function planJob() {
+    const job = getJob(els.source.value);
+    const layout = resolveLayout(job.opts.layout);
+    const pdfs = planExport(job.items, layout, job.opts);
+    const pages = pdfs.flatMap((pdf) => pdf.pages.map((page) => ({ page, title: pdf.title })));
+    return { job, layout, pdfs, pages };
+  }
+
+  async function drawPage(canvas, { job, layout }, { page, title }, pxPerIn) {
+    canvas.width = Math.round(layout.pageW * pxPerIn);
+    canvas.height = Math.round(layout.pageH * pxPerIn);
+    await drawPrintPage(canvas.getContext("2d"), layout, job.opts.template, page, { pxPerIn, title });
+  }
+
+  function showNav() {
+    const total = plan?.pages.length ?? 0;
+    els.page.textContent = total ? `Page ${pageIndex + 1} of ${total}` : "";
+    els.prev.disabled = pageIndex <= 0;
+    els.next.disabled = pageIndex >= total - 1;
+    els.exportBtn.disabled = !total;
+    els.print.disabled = !total;
+  }
+
+  function redraw() {
+    drawing = drawing.then(async () => {
+      try {
+        plan = planJob();
+      } catch (err) {
+        plan = null;
+        els.canvas.hidden = true;
+        els.status.textContent = err.message;
+        showNav();
+        return;
+      }
+
+      pageIndex = Math.min(pageIndex, plan.pages.length - 1);
+      showNav();
+      els.canvas.hidden = false;
+      const dpr = globalThis.devicePixelRatio || 1;
+      await drawPage(els.canvas, plan, plan.pages[pageIndex], SCREEN_PX_PER_IN * dpr);
+
+      const n = plan.job.items.length;
+      const files = plan.pdfs.length > 1 ? ` in ${plan.pdfs.length} PDFs` : "";
+      els.status.textContent = `${n} QR(s) on ${plan.pages.length} page(s)${files}, ${plan.layout.label}.`;
+    }).catch((err) => {
+      els.status.textContent = `Preview failed: ${err?.message || err}`;
+    });
+    return drawing;
+  }
+
+  function refresh() {
+    clearTimeout(timer);
+    timer = setTimeout(redraw, REDRAW_DELAY_MS);
+  }
+
+  function go(delta) {
+    if (!plan) return;
+    pageIndex = Math.min(Math.max(pageIndex + delta, 0), plan.pages.length - 1);
+    redraw();
+  }
+
+  // Page images into #printRoot, then the browser's own print dialog (no pop-ups needed)
+  async function printFromBrowser() {
+    await drawing;
+    if (!plan) return;
+    const printing = plan; // a redraw may replace plan while the pages render
+    const { pages } = printing;
+    if (pages.length > MAX_BROWSER_PRINT_PAGES) {
+      els.status.textContent =
+        `${pages.length} pages is too many to print from the browser (at most ${MAX_BROWSER_PRINT_PAGES}). Use Export PDF.`;
+      return;
+    }
+
+    const { pageW, pageH } = printing.layout;
+    const style = document.createElement("style");
+    style.textContent = `@page { size: ${pageW}in ${pageH}in; margin: 0; }`;
+    const nodes = [style];
+
+    els.status.textContent = "Preparing pages…";
+    const canvas = document.createElement("canvas");
+    for (const page of pages) {
+      await drawPage(canvas, printing, page, PRINT_PX_PER_IN);
+      const img = document.createElement("img");
+      img.className = "print-page";
+      img.alt = "";
+      img.style.width = `${pageW}in`;
+      img.style.height = `${pageH}in`;
+      img.src = canvas.toDataURL("image/png");
+      await img.decode?.().catch(() => {});
+      nodes.push(img);
+    }
+
+    els.printRoot.replaceChildren(...nodes);
+    els.status.textContent = "";
+    window.addEventListener("afterprint", () => els.printRoot.replaceChildren(), { once: true });
+    window.print();
+  }
+
+  els.prev.addEventListener("click", () => go(-1));
+  els.next.addEventListener("click", () => go(1));
+  els.source.addEventListener("change", () => {
+    pageIndex = 0;
+    redraw();
+  });
+  els.exportBtn.addEventListener("click", () => onExport(els.source.value));
+  els.print.addEventListener("click", () => {
+    printFromBrowser().catch((err) => {
+      els.status.textContent = `Printing failed: ${err?.message || err}`;
+    });
+  });
+
+  showNav();
+
+  return { refresh };
+}
@@ -0,0 +1,191 @@
+import {
+  newProject,
+  listProjects,
+  getProject,
+  putProject,
+  deleteProject,
+  getActiveProjectId,
+  setActiveProjectId,
+  projectToJson,
+  projectFromJson,
+} from "../scripts/projects.js";
+import { safeName } from "../scripts/format.js";
+import { downloadText } from "./download.js";
+
+const SAVE_DELAY_MS = 400;
+const HISTORY_SHOWN = 10;
+
+function fileSafe(name) {
+  return safeName(name).replace(/^_+|_+$/g, "") || "project";
+}
+
+/**
+ * Wires the "Project" card (switcher, new/rename/delete, export/import, print history).
+ *
+ * onLoad(project) restores the page from a project; it runs on start-up and on every
+ * switch (project is null when IndexedDB is unavailable).
+ * Returns { save(patch), addPrint(entry) }:
+ * - save merges patch into the open project and writes it shortly after
+ * - addPrint appends to the print history and saves
+ */
+export function initProjectPanel({ onLoad }) {
+  const $ = (id) => document.getElementById(id);
+  const els = {
+    select: $("projectSelect"),
+    create: $("projectNew"),
+    rename: $("projectRename"),
+    remove: $("projectDelete"),
+    exportBtn: $("projectExport"),
+    importBtn: $("projectImport"),
+    importFile: $("projectImportFile"),
+    status: $("projectStatus"),
+    history: $("projectHistory"),
+  };
+
+  let project = null;
+  let saveTimer = 0;
+  let savePending = null;
+
+  function report(err) {
+    els.status.textContent = err?.message || String(err);
+  }
+
+  async function flush() {
+    clearTimeout(saveTimer);
+    if (!project || !savePending) return;
+    savePending = null;
+    await putProject(project);
+  }
+
+  function scheduleSave() {
+    savePending = true;
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => flush().catch(report), SAVE_DELAY_MS);
+  }
+
+  async function renderSelect() {
+    const list = await listProjects();
+    els.select.innerHTML = "";
+    for (const p of list) els.select.add(new Option(p.name, p.id));
+    els.select.value = project?.id ?? "";
+  }
+
+  function renderHistory() {
+    els.history.innerHTML = "";
+    const recent = (project?.printHistory ?? []).slice(-HISTORY_SHOWN).reverse();
+    for (const h of recent) {
+      const li = document.createElement("li");
+      const when = new Date(h.at).toLocaleString();
+      const layout = typeof h.layout === "string" ? h.layout : "custom";
+      const what = { manual: "manual", selection: "selected" }[h.source] ?? "roster";
+      li.textContent =
+        `${when}: ${h.count} ${what} QR(s), ${layout}` +
+        `${h.skipped ? `, ${h.skipped} duplicate(s) skipped` : ""}`;
+      els.history.appendChild(li);
+    }
+    els.history.hidden = recent.length === 0;
+
+    els.status.textContent = project
+      ? `Saved in this browser. ${project.roster ? `${project.roster.fileName || "Roster"} imported. ` : ""}` +
+      `Last printed: ${recent[0] ? new Date(recent[0].at).toLocaleDateString() : "never"}.`
+      : "";
+  }
+
+  async function open(next) {
+    await flush();
+    project = next;
+    setActiveProjectId(project.id);
+    await renderSelect();
+    renderHistory();
+    await onLoad(project);
+  }
+
+  async function start() {
+    const list = await listProjects();
+    const activeId = getActiveProjectId();
+    const id = list.some((p) => p.id === activeId) ? activeId : list[0]?.id;
+    await open(id ? await getProject(id) : await putProject(newProject("My first project")));
+  }
+
+  els.select.addEventListener("change", () => {
+    getProject(els.select.value)
+      .then((p) => p && open(p))
+      .catch(report);
+  });
+
+  els.create.addEventListener("click", () => {
+    const name = prompt("Project name (e.g. Lincoln MS – Fall 2026):");
+    if (name == null) return;
+    putProject(newProject(name)).then(open).catch(report);
+  });
+
+  els.rename.addEventListener("click", () => {
+    if (!project) return;
+    const name = prompt("Rename project:", project.name);
+    if (!name?.trim()) return;
+    project.name = name.trim();
+    putProject(project).then(renderSelect).catch(report);
+  });
+
+  els.remove.addEventListener("click", async () => {
+    if (!project || !confirm(`Delete project "${project.name}" from this browser? Export it first to keep a copy.`)) return;
+    try {
+      clearTimeout(saveTimer);
+      savePending = null;
+      await deleteProject(project.id);
+      project = null;
+      setActiveProjectId(null);
+      await start();
+    } catch (err) {
+      report(err);
+    }
+  });
+
+  els.exportBtn.addEventListener("click", async () => {
+    if (!project) return;
+    try {
+      await flush();
+      downloadText(projectToJson(project), `${fileSafe(project.name)}.starborn.json`, "application/json");
+    } catch (err) {
+      report(err);
+    }
+  });
+
+  els.importBtn.addEventListener("click", () => els.importFile.click());
+  els.importFile.addEventListener("change", async () => {
+    const file = els.importFile.files?.[0];
+    els.importFile.value = "";
+    if (!file) return;
+    try {
+      await open(await putProject(projectFromJson(await file.text())));
+      els.status.textContent = `Imported "${project.name}". ${els.status.textContent}`;
+    } catch (err) {
+      report(err);
+    }
+  });
+
+  // Don't lose the last few keystrokes when the tab closes
+  window.addEventListener("pagehide", () => {
+    flush().catch(() => { });
+  });
+
+  start().catch(async (err) => {
+    report(err);
+    for (const b of [els.select, els.create, els.rename, els.remove, els.exportBtn, els.importBtn]) b.disabled = true;
+    await onLoad(null);
+  });
+
+  return {
+    save(patch) {
+      if (!project) return;
+      Object.assign(project, patch);
+      scheduleSave();
+    },
+    addPrint(entry) {
+      if (!project) return;
+      project.printHistory = [...(project.printHistory ?? []), { at: new Date().toISOString(), ...entry }];
+      renderHistory();
+      scheduleSave();
+    },
+  };
+}
@@ -0,0 +1,170 @@
+import { decodeQrImage } from "../scripts/verify.js";
+import { parsePayload, getPayloadSchema } from "../scripts/payload.js";
+
+const MAX_SIDE = 1600; // downscale large photos before decoding
+const FRAME_MS = 250; // camera polling interval
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+}
+
+// RGBA pixels of an image/video frame, scaled so the longest side is <= maxSide
+function grabPixels(canvas, source, width, height, maxSide = MAX_SIDE) {
+  const k = Math.min(1, maxSide / Math.max(width, height));
+  canvas.width = Math.max(1, Math.round(width * k));
+  canvas.height = Math.max(1, Math.round(height * k));
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Wires the "Scan a Badge" card: decode a QR from an uploaded image or the camera
+ * and show what it holds.
+ *
+ * opts.verifySignature(text) -> Promise<{ valid, reason } | null> checks signed payloads.
+ * opts.onRegenerate(parsed) receives parsePayload's result when the user asks
+ * for a fresh badge.
+ */
+export function initScanPanel({ verifySignature = async () => null, onRegenerate } = {}) {
+  const $ = (id) => document.getElementById(id);
+  const els = {
+    file: $("scanFile"),
+    cameraStart: $("scanCameraStart"),
+    cameraStop: $("scanCameraStop"),
+    video: $("scanVideo"),
+    status: $("scanStatus"),
+    result: $("scanResult"),
+    regenerate: $("scanRegenerate"),
+  };
+
+  const work = document.createElement("canvas");
+  let parsed = null;
+  let stream = null;
+  let timer = 0;
+
+  const hasCamera = !!navigator.mediaDevices?.getUserMedia;
+  els.cameraStart.hidden = !hasCamera;
+  els.regenerate.disabled = true;
+
+  function row(dl, label, value) {
+    dl.append(el("dt", "", label), el("dd", "", value || "—"));
+  }
+
+  async function show(text) {
+    parsed = parsePayload(text);
+    els.result.innerHTML = "";
+
+    const dl = el("dl", "scan-fields");
+    row(dl, "Username", parsed.username);
+    row(dl, "Group Code", parsed.groupCode);
+    row(dl, "Version", parsed.version);
+    if (parsed.problems.every((p) => p.field !== "version")) {
+      for (const f of getPayloadSchema(parsed.version).fields.filter((x) => x.extra)) {
+        if (parsed.extra[f.key]) row(dl, f.label, parsed.extra[f.key]);
+      }
+    }
+    els.result.appendChild(dl);
+
+    if (parsed.problems.length === 0) {
+      els.result.appendChild(el("p", "verify-ok", "✔ Matches the current payload format."));
+    } else {
+      els.result.appendChild(el("p", "verify-bad", "✘ Does not match the current payload format:"));
+      const list = el("ul", "scan-problems");
+      for (const p of parsed.problems) list.appendChild(el("li", "", `${p.field}: ${p.reason}`));
+      els.result.appendChild(list);
+    }
+
+    if (parsed.signed) {
+      const check = await verifySignature(text);
+      els.result.appendChild(
+        check
+          ? el("p", check.valid ? "verify-ok" : "verify-bad", `${check.valid ? "✔" : "✘"} ${check.reason}`)
+          : el("p", "subtle", "Signed payload. Load the signing key to check the signature.")
+      );
+    }
+
+    els.result.appendChild(el("pre", "code mt10", text));
+
+    els.regenerate.disabled = !parsed.username || !parsed.groupCode;
+  }
+
+  async function decodeFile(file) {
+    els.status.textContent = "Decoding…";
+    const bitmap = await createImageBitmap(file);
+    try {
+      const text = await decodeQrImage(grabPixels(work, bitmap, bitmap.width, bitmap.height));
+      if (text == null) {
+        els.status.textContent = "No QR code found. Try a sharper, closer photo with the whole code visible.";
+        return;
+      }
+      els.status.textContent = `Decoded ${file.name}.`;
+      await show(text);
+    } finally {
+      bitmap.close?.();
+    }
+  }
+
+  function stopCamera() {
+    clearTimeout(timer);
+    stream?.getTracks().forEach((t) => t.stop());
+    stream = null;
+    els.video.srcObject = null;
+    els.video.hidden = true;
+    els.cameraStart.hidden = !hasCamera;
+    els.cameraStop.hidden = true;
+  }
+
+  async function pollCamera() {
+    if (!stream) return;
+    const { videoWidth: w, videoHeight: h } = els.video;
+    if (w && h) {
+      const text = await decodeQrImage(grabPixels(work, els.video, w, h, 800));
+      if (text != null && stream) {
+        stopCamera();
+        els.status.textContent = "Decoded from camera.";
+        await show(text);
+        return;
+      }
+    }
+    timer = setTimeout(pollCamera, FRAME_MS);
+  }
+
+  async function startCamera() {
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" }, audio: false });
+    } catch (err) {
+      els.status.textContent = `Camera unavailable: ${err?.message || err}`;
+      return;
+    }
+    els.video.srcObject = stream;
+    els.video.hidden = false;
+    await els.video.play().catch(() => { });
+    els.cameraStart.hidden = true;
+    els.cameraStop.hidden = false;
+    els.status.textContent = "Point the camera at a badge…";
+    pollCamera();
+  }
+
+  els.file.addEventListener("change", () => {
+    const file = els.file.files?.[0];
+    if (!file) return;
+    stopCamera();
+    decodeFile(file).catch((err) => {
+      els.status.textContent = `Could not read image: ${err?.message || err}`;
+    });
+  });
+
+  els.cameraStart.addEventListener("click", startCamera);
+  els.cameraStop.addEventListener("click", () => {
+    stopCamera();
+    els.status.textContent = "";
+  });
+
+  els.regenerate.addEventListener("click", () => {
+    if (parsed) onRegenerate?.(parsed);
+  });
+}
@@ -0,0 +1,145 @@
+import {
+  SIGNING_ALGORITHMS,
+  generateSigner,
+  importSigner,
+  verifySignedPayload,
+} from "../scripts/signing.js";
+import { downloadJson } from "./download.js";
+
+const STORAGE_KEY = "starborn.signingKey.v1";
+
+/**
+ * Wires the "Payload Signing" card.
+ * Returns { activeSigner(), verify(text) }: activeSigner is the loaded signer when
+ * signing is enabled, else null; verify checks text against the loaded key (null without one).
+ */
+export function initSigningPanel() {
+  const $ = (id) => document.getElementById(id);
+  const els = {
+    enabled: $("signEnabled"),
+    alg: $("signAlg"),
+    generate: $("signGenerate"),
+    importBtn: $("signImport"),
+    importFile: $("signImportFile"),
+    exportKey: $("signExport"),
+    exportPublic: $("signExportPublic"),
+    remember: $("signRemember"),
+    status: $("signStatus"),
+    verifyInput: $("verifyInput"),
+    verifyBtn: $("verifyBtn"),
+    verifyResult: $("verifyResult"),
+  };
+
+  let signer = null;
+
+  for (const [id, label] of Object.entries(SIGNING_ALGORITHMS)) els.alg.add(new Option(label, id));
+
+  function render() {
+    if (!signer) {
+      els.status.textContent = "No key loaded. Generate a key or import a key file.";
+    } else {
+      const role = signer.canSign ? "sign + verify" : "verify only";
+      els.status.textContent =
+        `Key ${signer.kid} (${signer.alg}, ${role})` +
+        `${els.remember.checked ? ", remembered in this browser" : ", this session only"}.`;
+    }
+    els.exportKey.disabled = !signer?.canSign;
+    els.exportPublic.disabled = signer?.alg !== "Ed25519";
+    els.verifyBtn.disabled = !signer;
+    if (els.enabled.checked && !signer?.canSign) els.enabled.checked = false;
+  }
+
+  async function persist() {
+    try {
+      if (els.remember.checked && signer?.canSign) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(await signer.exportPrivateJwk()));
+      } else {
+        localStorage.removeItem(STORAGE_KEY);
+      }
+    } catch {
+      // storage disabled: key stays for this session only
+    }
+  }
+
+  async function load(next) {
+    signer = next;
+    if (signer) els.alg.value = signer.alg;
+    await persist();
+    render();
+  }
+
+  function report(err) {
+    els.status.textContent = err?.message || String(err);
+  }
+
+  els.generate.addEventListener("click", () => {
+    generateSigner(els.alg.value).then(load).catch(report);
+  });
+
+  els.importBtn.addEventListener("click", () => els.importFile.click());
+  els.importFile.addEventListener("change", async () => {
+    const file = els.importFile.files?.[0];
+    els.importFile.value = "";
+    if (!file) return;
+    try {
+      await load(await importSigner(JSON.parse(await file.text())));
+    } catch (err) {
+      report(err);
+    }
+  });
+
+  els.exportKey.addEventListener("click", async () => {
+    try {
+      downloadJson(await signer.exportPrivateJwk(), `starborn-signing-key-${signer.kid}.json`);
+    } catch (err) {
+      report(err);
+    }
+  });
+
+  els.exportPublic.addEventListener("click", async () => {
+    try {
+      downloadJson(await signer.exportPublicJwk(), `starborn-public-key-${signer.kid}.json`);
+    } catch (err) {
+      report(err);
+    }
+  });
+
+  els.remember.addEventListener("change", () => {
+    persist().then(render);
+  });
+
+  els.enabled.addEventListener("change", () => {
+    if (els.enabled.checked && !signer?.canSign) {
+      els.enabled.checked = false;
+      els.status.textContent = "Load a signing key first.";
+    }
+  });
+
+  els.verifyBtn.addEventListener("click", async () => {
+    const text = els.verifyInput.value.trim();
+    if (!text || !signer) return;
+    const { valid, reason } = await verifySignedPayload(text, signer);
+    els.verifyResult.textContent = `${valid ? "✔" : "✘"} ${reason}`;
+    els.verifyResult.className = valid ? "verify-ok" : "verify-bad";
+  });
+
+  // Restore a remembered key
+  (async () => {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      if (saved) {
+        els.remember.checked = true;
+        signer = await importSigner(JSON.parse(saved));
+        els.alg.value = signer.alg;
+      }
+    } catch {
+      signer = null;
+    }
+    render();
+  })();
+
+  return {
+    activeSigner: () => (els.enabled.checked && signer?.canSign ? signer : null),
+    verify: async (text) => (signer ? verifySignedPayload(text, signer) : null),
+  };
+}
@@ -0,0 +1,289 @@
+import {
+  DEFAULT_TEMPLATE,
+  TEMPLATE_FIELDS,
+  QR_POSITIONS,
+  TEXT_ALIGNMENTS,
+  normalizeTemplate,
+  listSavedTemplates,
+  saveTemplate,
+  deleteSavedTemplate,
+} from "../scripts/template.js";
+import { drawBadgeCell } from "./preview.js";
+import { downloadJson } from "./download.js";
+
+const LOGO_MAX_PX = 600; // logos are stored (localStorage/project) as PNG data URLs
+const PREVIEW_PX_PER_IN = 110;
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+}
+
+// Uploaded image -> { dataUrl (PNG, downscaled), aspect }
+async function readLogo(file) {
+  const bitmap = await createImageBitmap(file);
+  try {
+    const k = Math.min(1, LOGO_MAX_PX / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(1, Math.round(bitmap.width * k));
+    canvas.height = Math.max(1, Math.round(bitmap.height * k));
+    canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    return { dataUrl: canvas.toDataURL("image/png"), aspect: bitmap.width / bitmap.height };
+  } finally {
+    bitmap.close?.();
+  }
+}
+
+/**
+ * Wires the "Badge Template" card: line list (show, text/label, size, bold, underline, order),
+ * alignment, QR position/size, logo, district templates and a live preview of one badge.
+ *
+ * opts.onChange(template) runs after every edit (save it with the project).
+ * opts.getPreview() -> { layout (resolved, see layout.js), item } is the badge to preview.
+ * Returns { get(), set(template), refresh() }; refresh redraws the preview.
+ */
+export function initTemplateEditor({ onChange, getPreview }) {
+  const $ = (id) => document.getElementById(id);
+  const els = {
+    saved: $("tplSaved"),
+    saveAs: $("tplSaveAs"),
+    remove: $("tplDelete"),
+    reset: $("tplReset"),
+    exportBtn: $("tplExport"),
+    align: $("tplAlign"),
+    qrPos: $("tplQrPos"),
+    qrSize: $("tplQrSize"),
+    logo: $("tplLogo"),
+    logoHeight: $("tplLogoHeight"),
+    logoClear: $("tplLogoClear"),
+    lines: $("tplLines"),
+    preview: $("tplPreview"),
+    status: $("tplStatus"),
+  };
+
+  let template = normalizeTemplate(DEFAULT_TEMPLATE);
+  let drawing = Promise.resolve();
+
+  for (const [id, label] of Object.entries(TEXT_ALIGNMENTS)) els.align.add(new Option(label, id));
+  for (const [id, label] of Object.entries(QR_POSITIONS)) els.qrPos.add(new Option(label, id));
+
+  function renderSaved() {
+    els.saved.innerHTML = "";
+    els.saved.add(new Option(`${DEFAULT_TEMPLATE.name} (built-in)`, ""));
+    for (const t of listSavedTemplates()) els.saved.add(new Option(t.name, t.name));
+    els.saved.value = [...els.saved.options].some((o) => o.value === template.name) ? template.name : "";
+  }
+
+  function refresh() {
+    drawing = drawing.then(async () => {
+      const { layout, item } = getPreview();
+      const canvas = els.preview;
+      canvas.width = Math.round(layout.cellW * PREVIEW_PX_PER_IN);
+      canvas.height = Math.round(layout.cellH * PREVIEW_PX_PER_IN);
+      const ctx = canvas.getContext("2d");
+      ctx.fillStyle = "#fff";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      await drawBadgeCell(ctx, layout, template, item, { pxPerIn: PREVIEW_PX_PER_IN });
+      els.status.textContent =
+        layout.style === "label" ? "The current layout prints compact labels; this template is used by card layouts." : "";
+    }).catch((err) => {
+      els.status.textContent = `Preview failed: ${err?.message || err}`;
+    });
+    return drawing;
+  }
+
+  // Edits mutate the working copy in place (the line rows hold its objects)
+  function changed() {
+    onChange?.(normalizeTemplate(template));
+    refresh();
+  }
+
+  function lineRow(line, i) {
+    const tr = el("tr");
+
+    const show = el("input");
+    show.type = "checkbox";
+    show.checked = line.visible;
+    show.setAttribute("aria-label", "Show line");
+    show.addEventListener("change", () => {
+      line.visible = show.checked;
+      changed();
+    });
+
+    const fixed = line.field === "title" || line.field === "text";
+    const text = el("input", "grid-input");
+    text.value = fixed ? line.text : line.label;
+    text.placeholder = fixed ? "Text" : "Label (optional)";
+    text.setAttribute("aria-label", fixed ? "Text" : "Label");
+    text.addEventListener("input", () => {
+      if (fixed) line.text = text.value;
+      else line.label = text.value;
+      changed();
+    });
+
+    const size = el("input", "grid-input");
+    size.type = "number";
+    size.min = "5";
+    size.max = "40";
+    size.step = "0.5";
+    size.value = String(line.size);
+    size.setAttribute("aria-label", "Font size (pt)");
+    size.addEventListener("change", () => {
+      line.size = Number(size.value);
+      changed();
+    });
+
+    const toggle = (key, label) => {
+      const box = el("input");
+      box.type = "checkbox";
+      box.checked = line[key];
+      box.setAttribute("aria-label", label);
+      box.addEventListener("change", () => {
+        line[key] = box.checked;
+        changed();
+      });
+      return box;
+    };
+
+    const move = (delta, label) => {
+      const b = el("button", "small-btn secondary", label);
+      b.type = "button";
+      b.title = delta < 0 ? "Move up" : "Move down";
+      b.disabled = i + delta < 0 || i + delta >= template.lines.length;
+      b.addEventListener("click", () => {
+        const lines = [...template.lines];
+        [lines[i], lines[i + delta]] = [lines[i + delta], lines[i]];
+        template.lines = lines;
+        renderLines();
+        changed();
+      });
+      return b;
+    };
+
+    const cells = [show, el("span", "", TEMPLATE_FIELDS[line.field]), text, size, toggle("bold", "Bold"), toggle("underline", "Underline")];
+    for (const c of cells) {
+      const td = el("td");
+      td.appendChild(c);
+      tr.appendChild(td);
+    }
+    const actions = el("td", "grid-actions");
+    actions.append(move(-1, "↑"), move(1, "↓"));
+    tr.appendChild(actions);
+    return tr;
+  }
+
+  function renderLines() {
+    const table = el("table", "grid-table");
+    const head = el("tr");
+    for (const h of ["Show", "Line", "Text / Label", "Size (pt)", "Bold", "Underline", ""]) head.appendChild(el("th", "", h));
+    const thead = el("thead");
+    thead.appendChild(head);
+    const tbody = el("tbody");
+    template.lines.forEach((line, i) => tbody.appendChild(lineRow(line, i)));
+    table.append(thead, tbody);
+    els.lines.replaceChildren(table);
+  }
+
+  function renderControls() {
+    els.align.value = template.align;
+    els.qrPos.value = template.qr.position;
+    els.qrSize.value = String(Math.round(template.qr.size * 100));
+    els.logoHeight.value = String(template.logo?.height ?? 0.35);
+    els.logoHeight.disabled = !template.logo;
+    els.logoClear.disabled = !template.logo;
+    renderLines();
+    renderSaved();
+  }
+
+  function set(next) {
+    template = normalizeTemplate(next);
+    renderControls();
+    refresh();
+  }
+
+  els.align.addEventListener("change", () => {
+    template.align = els.align.value;
+    changed();
+  });
+  els.qrPos.addEventListener("change", () => {
+    template.qr.position = els.qrPos.value;
+    changed();
+  });
+  els.qrSize.addEventListener("change", () => {
+    template.qr.size = Number(els.qrSize.value) / 100;
+    changed();
+  });
+  els.logoHeight.addEventListener("change", () => {
+    if (!template.logo) return;
+    template.logo.height = Number(els.logoHeight.value);
+    changed();
+  });
+
+  els.logo.addEventListener("change", async () => {
+    const file = els.logo.files?.[0];
+    els.logo.value = "";
+    if (!file) return;
+    try {
+      template.logo = { ...(await readLogo(file)), height: template.logo?.height ?? 0.35 };
+      renderControls();
+      changed();
+    } catch (err) {
+      els.status.textContent = `Could not read logo: ${err?.message || err}`;
+    }
+  });
+
+  els.logoClear.addEventListener("click", () => {
+    template.logo = null;
+    renderControls();
+    changed();
+  });
+
+  els.saved.addEventListener("change", () => {
+    const name = els.saved.value;
+    const next = name ? listSavedTemplates().find((t) => t.name === name) : DEFAULT_TEMPLATE;
+    if (!next) return;
+    set(next);
+    onChange?.(normalizeTemplate(template));
+  });
+
+  els.saveAs.addEventListener("click", () => {
+    const name = prompt("Save template as (e.g. the district name):", els.saved.value || "");
+    if (!name?.trim()) return;
+    try {
+      template = saveTemplate({ ...template, name: name.trim() });
+      renderControls();
+      onChange?.(normalizeTemplate(template));
+      els.status.textContent = `Saved "${template.name}".`;
+    } catch (err) {
+      els.status.textContent = err.message;
+    }
+  });
+
+  els.remove.addEventListener("click", () => {
+    const name = els.saved.value;
+    if (!name || !confirm(`Delete the saved template "${name}"? Projects using it keep their copy.`)) return;
+    deleteSavedTemplate(name);
+    renderSaved();
+  });
+
+  // For another laptop or the CLI (--template)
+  els.exportBtn.addEventListener("click", () => {
+    const t = normalizeTemplate(template);
+    downloadJson(t, `${t.name.replace(/[^A-Za-z0-9._-]+/g, "_")}.template.json`);
+  });
+
+  els.reset.addEventListener("click", () => {
+    set(DEFAULT_TEMPLATE);
+    onChange?.(normalizeTemplate(template));
+  });
+
+  renderControls();
+
+  return {
+    get: () => normalizeTemplate(template),
+    set,
+    refresh,
+  };
+}
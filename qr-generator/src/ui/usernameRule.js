@@ -0,0 +1,111 @@
+import {
+  DEFAULT_USERNAME_RULE,
+  USERNAME_TOKENS,
+  USERNAME_TRANSFORMS,
+  USERNAME_MAX_LENGTH,
+  checkUsernameRule,
+} from "../scripts/usernames.js";
+
+const PREVIEW_ROWS = 8;
+
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = text;
+  return node;
+}
+
+/**
+ * Wires the "Username Rule" card: the rule template, a list of its tokens and transforms,
+ * and a preview of the usernames it builds.
+ *
+ * opts.preview(rule) -> [{ label, username, reason }] builds the usernames of the current
+ * rows (or the manual form) with a rule; reason is set when one is invalid or repeated.
+ * opts.onChange(rule) runs when a valid rule is applied (on Enter / leaving the field).
+ * Returns { get(), set(rule), refresh() }; refresh redraws the preview.
+ */
+export function initUsernameRulePanel({ preview, onChange }) {
+  const $ = (id) => document.getElementById(id);
+  const els = {
+    rule: $("usernameRule"),
+    reset: $("usernameRuleReset"),
+    help: $("usernameRuleHelp"),
+    list: $("usernameRulePreview"),
+    status: $("usernameRuleStatus"),
+  };
+
+  let rule = DEFAULT_USERNAME_RULE;
+
+  const tokens = Object.keys(USERNAME_TOKENS).map((k) => `{${k}}`).join(" ");
+  const transforms = Object.entries(USERNAME_TRANSFORMS)
+    .map(([k, t]) => `${k}${t.takesNumber ? "[:n]" : ""} (${t.label})`)
+    .join(", ");
+  els.help.textContent =
+    `Tokens: ${tokens}. Transforms, after "|": ${transforms}. ` +
+    `Letters, digits, ".", "_" and "-" only, at most ${USERNAME_MAX_LENGTH} characters.`;
+
+  // Preview of the rule being typed (not applied yet)
+  function refresh() {
+    const candidate = els.rule.value.trim() || DEFAULT_USERNAME_RULE;
+    els.list.replaceChildren();
+    let names;
+    try {
+      checkUsernameRule(candidate);
+      names = preview(candidate);
+    } catch (err) {
+      els.status.textContent = err.message;
+      return;
+    }
+
+    const bad = names.filter((n) => n.reason);
+    for (const n of [...bad, ...names.filter((x) => !x.reason)].slice(0, PREVIEW_ROWS)) {
+      const li = el("li");
+      li.append(el("span", "subtle", `${n.label}: `), el("code", "", n.username || "—"));
+      if (n.reason) li.append(" ", el("span", "result-flag result-flag-error", n.reason));
+      els.list.appendChild(li);
+    }
+
+    const pending = candidate !== rule ? " Press Enter to apply it." : "";
+    els.status.textContent = bad.length
+      ? `${bad.length} of ${names.length} username(s) are invalid or repeated.${pending}`
+      : `All ${names.length} username(s) are unique and valid.${pending}`;
+  }
+
+  function apply() {
+    const candidate = els.rule.value.trim() || DEFAULT_USERNAME_RULE;
+    try {
+      checkUsernameRule(candidate);
+    } catch {
+      refresh();
+      return;
+    }
+    els.rule.value = candidate;
+    if (candidate !== rule) {
+      rule = candidate;
+      onChange(rule);
+    }
+    refresh();
+  }
+
+  els.rule.addEventListener("input", refresh);
+  els.rule.addEventListener("change", apply);
+  els.reset.addEventListener("click", () => {
+    els.rule.value = DEFAULT_USERNAME_RULE;
+    apply();
+  });
+
+  return {
+    get: () => rule,
+    set(next) {
+      try {
+        checkUsernameRule(next);
+        rule = next || DEFAULT_USERNAME_RULE;
+      } catch {
+        rule = DEFAULT_USERNAME_RULE;
+      }
+      els.rule.value = rule;
+      refresh();
+    },
+    refresh,
+  };
+}
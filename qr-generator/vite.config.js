@@ -6,4 +6,8 @@ export default defineConfig({
     outDir: "../docs",
     emptyOutDir: true,
   },
+  // src/scripts/qr.worker.js is a module worker (lazy jsPDF/jsQR chunks)
+  worker: {
+    format: "es",
+  },
 });